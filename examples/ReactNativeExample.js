@@ -15,6 +15,11 @@ import {
   SafeAreaView,
 } from 'react-native';
 import SpeechToTextModuleRN from '../src/SpeechToTextModuleRN';
+import AsyncStorageSessionStore from '../src/storage/AsyncStorageSessionStore';
+import TranscriptStream from '../src/core/TranscriptStream';
+
+// Optional backend receiving live transcripts (see examples/stream-server.js)
+const STREAM_URL = null;
 
 const SpeechToTextExample = () => {
   const [isListening, setIsListening] = useState(false);
@@ -26,6 +31,8 @@ const SpeechToTextExample = () => {
   const [logs, setLogs] = useState([]);
   
   const speechModuleRef = useRef(null);
+  const streamRef = useRef(null);
+  const captionsRef = useRef(new Map());
 
   useEffect(() => {
     initializeSpeechModule();
@@ -34,6 +41,10 @@ const SpeechToTextExample = () => {
       if (speechModuleRef.current) {
         speechModuleRef.current.destroy();
       }
+      // Deliver the final session, then close the socket
+      if (streamRef.current) {
+        streamRef.current.end();
+      }
     };
   }, []);
 
@@ -42,7 +53,9 @@ const SpeechToTextExample = () => {
       speechModuleRef.current = new SpeechToTextModuleRN({
         wakeWord: wakeWord,
         sleepWord: sleepWord,
-        language: 'en-US'
+        language: 'en-US',
+        storage: new AsyncStorageSessionStore(),
+        retention: { maxSessions: 50 }
       });
 
       speechModuleRef.current
@@ -52,41 +65,55 @@ const SpeechToTextExample = () => {
         .onSleepWordDetected((word) => {
           addLog(`🔴 Sleep word detected: "${word}" - Transcription DEACTIVATED`);
         })
-        .onTranscript((data) => {
-          updateTranscript(data);
+        .onTranscriptDelta((delta) => {
+          updateTranscript(delta);
+        })
+        .onSessionEnd((session) => {
+          addLog(`📦 Session ended (${session.endReason}): "${session.text}"`);
         })
         .onError((error) => {
-          Alert.alert('Error', error);
-          addLog(`❌ Error: ${error}`);
+          if (!error.recoverable) {
+            Alert.alert('Error', error.message);
+          }
+          addLog(`❌ Error [${error.code}]: ${error.message}`);
         })
         .onStatusChange((newStatus) => {
           setStatus(newStatus);
-          setIsListening(newStatus !== 'stopped');
+          setIsListening(newStatus !== 'stopped' && newStatus !== 'gave-up');
           setIsTranscribing(newStatus === 'transcribing');
           addLog(`📊 Status changed to: ${newStatus}`);
         });
 
+      if (STREAM_URL) {
+        streamRef.current = new TranscriptStream(STREAM_URL)
+          .on('open', () => addLog(`📡 Streaming to ${STREAM_URL}`))
+          .on('close', ({ willReconnect }) => addLog(`📡 Stream disconnected${willReconnect ? ', reconnecting' : ''}`))
+          .attach(speechModuleRef.current);
+      }
+
       addLog('✅ Speech module initialized successfully');
+      speechModuleRef.current.history.list()
+        .then((sessions) => addLog(`📚 ${sessions.length} stored session(s)`))
+        .catch((error) => addLog(`❌ Session history unavailable: ${error.message}`));
     } catch (error) {
       Alert.alert('Initialization Error', error.message);
       addLog(`❌ Initialization failed: ${error.message}`);
     }
   };
 
-  const updateTranscript = (data) => {
-    const timestamp = new Date(data.timestamp).toLocaleTimeString();
-    const finalIndicator = data.isFinal ? '✓' : '...';
-    const newLine = `[${timestamp}] ${data.transcript} ${finalIndicator}`;
-    
-    setTranscript(prev => {
-      const lines = prev.split('\n').filter(line => line.trim());
-      if (!data.isFinal && lines.length > 0 && lines[lines.length - 1].includes('...')) {
-        lines[lines.length - 1] = newLine;
-      } else {
-        lines.push(newLine);
-      }
-      return lines.join('\n');
-    });
+  // One caption line per utterance, built from transcript deltas without flicker
+  const updateTranscript = (delta) => {
+    const captions = captionsRef.current;
+    const key = `${delta.sessionId}:${delta.index}`;
+    const line = captions.get(key) || { time: new Date(delta.timestamp).toLocaleTimeString(), stable: '' };
+    line.stable = delta.revised ? delta.stable : line.stable + delta.appended;
+    line.unstable = delta.unstable;
+    line.isFinal = delta.isFinal;
+    captions.set(key, line);
+
+    setTranscript(Array.from(captions.values())
+      .map((caption) => `[${caption.time}] ${caption.stable}${caption.unstable} ${caption.isFinal ? '✓' : '...'}`)
+      .join('\n'));
   };
 
   const addLog = (message) => {
@@ -113,7 +140,20 @@ const SpeechToTextExample = () => {
     }
   };
 
+  const handleTogglePause = async () => {
+    if (speechModuleRef.current) {
+      if (status === 'paused') {
+        await speechModuleRef.current.resume();
+        addLog('▶️ Resumed');
+      } else {
+        await speechModuleRef.current.pause();
+        addLog('⏸️ Paused');
+      }
+    }
+  };
+
   const clearTranscript = () => {
+    captionsRef.current.clear();
     setTranscript('');
     setLogs([]);
     addLog('🧹 Cleared transcript and logs');
@@ -123,7 +163,11 @@ const SpeechToTextExample = () => {
     switch (status) {
       case 'listening': return '#1976d2';
       case 'transcribing': return '#2e7d32';
+      case 'starting':
+      case 'restarting':
+      case 'paused': return '#f57f17';
       case 'stopped': return '#c62828';
+      case 'gave-up': return '#c62828';
       default: return '#666';
     }
   };
@@ -132,7 +176,11 @@ const SpeechToTextExample = () => {
     switch (status) {
       case 'listening': return `🎧 Listening for wake word "${wakeWord}"...`;
       case 'transcribing': return `🎤 Transcribing... (Say "${sleepWord}" to stop)`;
+      case 'starting': return '⏳ Starting recognizer...';
+      case 'restarting': return '🔄 Restarting recognizer...';
+      case 'paused': return '⏸️ Paused';
       case 'stopped': return '⏹️ Stopped';
+      case 'gave-up': return '⚠️ Stopped after repeated errors';
       default: return `Status: ${status}`;
     }
   };
@@ -190,6 +238,14 @@ const SpeechToTextExample = () => {
             <Text style={styles.buttonText}>Stop Listening</Text>
           </TouchableOpacity>
           
+          <TouchableOpacity
+            style={[styles.button, !isListening && styles.buttonDisabled]}
+            onPress={handleTogglePause}
+            disabled={!isListening}
+          >
+            <Text style={styles.buttonText}>{status === 'paused' ? 'Resume' : 'Pause'}</Text>
+          </TouchableOpacity>
+          
           <TouchableOpacity
             style={styles.button}
             onPress={clearTranscript}
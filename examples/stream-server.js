@@ -0,0 +1,243 @@
+/**
+ * Reference Transcript Stream Server
+ * Receives the TranscriptStream protocol over WebSocket and logs every event.
+ * Uses only Node.js built-ins, so it runs without installing anything:
+ *
+ *   node examples/stream-server.js        # listens on ws://localhost:8080
+ *   PORT=9000 node examples/stream-server.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PROTOCOL_VERSION = 1;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+const TEXT = 0x1;
+const CLOSE = 0x8;
+const PING = 0x9;
+const PONG = 0xa;
+
+/**
+ * Encode an unmasked server frame
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first complete client frame in a buffer
+ * Returns { fin, opcode, payload, size } or null when more data is needed
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskOffset = offset;
+  if (masked) {
+    offset += 4;
+  }
+  if (buffer.length < offset + length) {
+    return null;
+  }
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+  return { fin, opcode, payload, size: offset + length };
+}
+
+/**
+ * Wrap an upgraded socket in a minimal WebSocket connection
+ */
+function createConnection(socket, onMessage, onClose) {
+  let pending = Buffer.alloc(0);
+  let fragments = [];
+
+  const connection = {
+    send(message) {
+      socket.write(encodeFrame(TEXT, Buffer.from(JSON.stringify(message))));
+    },
+    close(code = 1000) {
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code);
+      socket.end(encodeFrame(CLOSE, payload));
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    let frame;
+    while ((frame = decodeFrame(pending)) !== null) {
+      pending = pending.subarray(frame.size);
+      if (frame.opcode === CLOSE) {
+        connection.close();
+        return;
+      }
+      if (frame.opcode === PING) {
+        socket.write(encodeFrame(PONG, frame.payload));
+        continue;
+      }
+      if (frame.opcode === PONG) {
+        continue;
+      }
+
+      // Text frames, possibly split into continuation frames
+      fragments.push(frame.payload);
+      if (frame.fin) {
+        const text = Buffer.concat(fragments).toString('utf8');
+        fragments = [];
+        onMessage(text);
+      }
+    }
+  });
+  socket.on('close', onClose);
+  socket.on('error', () => socket.destroy());
+  return connection;
+}
+
+/**
+ * Log one streamed event
+ */
+function logEvent(clientId, message) {
+  const { seq, event, sessionId, data } = message;
+  const prefix = `[${clientId}] #${seq}${sessionId ? ` (${sessionId})` : ''}`;
+  switch (event) {
+    case 'transcript':
+      console.log(`${prefix} ${data.isFinal ? 'final' : 'interim'}: "${data.transcript}"`);
+      break;
+    case 'wakeWordDetected':
+    case 'sleepWordDetected':
+      console.log(`${prefix} ${event}: "${data.phrase}"`);
+      break;
+    case 'sessionEnd':
+      console.log(`${prefix} sessionEnd (${data.endReason}, ${data.segments.length} segments): "${data.text}"`);
+      break;
+    default:
+      console.log(`${prefix} ${event}: ${JSON.stringify(data)}`);
+  }
+}
+
+/**
+ * Create the stream server
+ * `clients` maps client IDs to the last sequence number received, so reconnecting
+ * clients resume where they left off and resent events are not logged twice
+ */
+function createStreamServer({ log = logEvent } = {}) {
+  const clients = new Map();
+
+  const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('WebSocket connections only\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    let clientId = null;
+    const connection = createConnection(socket, (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        connection.send({ type: 'error', message: 'Invalid JSON' });
+        return;
+      }
+
+      if (message.type === 'hello') {
+        if (message.protocol !== PROTOCOL_VERSION) {
+          connection.send({ type: 'error', message: `Unsupported protocol version ${message.protocol}` });
+          connection.close(1002);
+          return;
+        }
+        clientId = message.clientId;
+        const lastSeq = clients.has(clientId) ? clients.get(clientId) : 0;
+        console.log(`[${clientId}] connected, resuming after #${lastSeq}`);
+        connection.send({ type: 'welcome', protocol: PROTOCOL_VERSION, lastSeq: lastSeq });
+        return;
+      }
+
+      if (message.type !== 'event' || clientId === null) {
+        connection.send({ type: 'error', message: 'Expected hello, then events' });
+        return;
+      }
+
+      const lastSeq = clients.get(clientId) || 0;
+      if (message.seq <= lastSeq) {
+        // Resent after a reconnect; already logged
+        connection.send({ type: 'ack', seq: lastSeq });
+        return;
+      }
+      if (lastSeq && message.seq > lastSeq + 1) {
+        console.log(`[${clientId}] events #${lastSeq + 1}-#${message.seq - 1} were dropped by the client`);
+      }
+      clients.set(clientId, message.seq);
+      log(clientId, message);
+      connection.send({ type: 'ack', seq: message.seq });
+    }, () => {
+      if (clientId !== null) {
+        console.log(`[${clientId}] disconnected`);
+      }
+    });
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8080;
+  createStreamServer().listen(port, () => {
+    console.log(`Transcript stream server listening on ws://localhost:${port}`);
+  });
+}
+
+module.exports = { createStreamServer, PROTOCOL_VERSION };
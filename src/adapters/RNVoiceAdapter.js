@@ -0,0 +1,141 @@
+/**
+ * React Native Voice Adapter
+ * Recognizer adapter backed by @react-native-voice/voice
+ */
+
+import Voice from '@react-native-voice/voice';
+import SpeechError from '../core/SpeechError';
+
+// Android SpeechRecognizer error numbers ("7/No match") mapped to SpeechError codes
+const ANDROID_ERROR_MAP = {
+  1: 'network',
+  2: 'network',
+  3: 'audio-capture',
+  4: 'service-unavailable',
+  5: 'aborted',
+  6: 'no-speech',
+  7: 'no-match',
+  8: 'busy',
+  9: 'permission-denied',
+  10: 'service-unavailable',
+  11: 'network',
+  12: 'language-not-supported',
+  13: 'language-not-supported'
+};
+
+// iOS error codes and message fragments mapped to SpeechError codes
+const IOS_ERROR_PATTERNS = [
+  [/permission|not.?authori[sz]ed|denied/i, 'permission-denied'],
+  [/\b1110\b|no speech/i, 'no-speech'],
+  [/\b(203|1101)\b|no match/i, 'no-match'],
+  [/\baudio\b/i, 'audio-capture'],
+  [/network|connection|\b1107\b/i, 'network'],
+  [/\b(216|301)\b|cancel/i, 'aborted'],
+  [/not available|unavailable/i, 'service-unavailable'],
+  [/locale|language/i, 'language-not-supported']
+];
+
+class RNVoiceAdapter {
+  constructor() {
+    this.platform = 'react-native';
+    this.restartDelay = 500;
+    this.lastFinal = null;
+  }
+
+  /**
+   * Convert a Voice error event (or thrown error) into a SpeechError
+   */
+  static toError(error) {
+    const code = error && error.code !== undefined ? String(error.code) : '';
+    const message = (error && error.message) || '';
+    const androidMatch = /^(\d+)\//.exec(message);
+
+    let errorCode = 'unknown';
+    if (androidMatch && ANDROID_ERROR_MAP[androidMatch[1]]) {
+      errorCode = ANDROID_ERROR_MAP[androidMatch[1]];
+    } else {
+      const pattern = IOS_ERROR_PATTERNS.find(([regex]) => regex.test(`${code} ${message}`));
+      if (pattern) {
+        errorCode = pattern[1];
+      }
+    }
+
+    return new SpeechError(errorCode, message || undefined, {
+      platform: 'react-native',
+      platformError: error
+    });
+  }
+
+  /**
+   * Convert a Voice results event into a normalized result
+   * Every entry of `event.value` is a hypothesis; Voice reports no confidence
+   */
+  static toResult(event, isFinal) {
+    if (!event.value || event.value.length === 0) {
+      return null;
+    }
+
+    return {
+      transcript: event.value[0],
+      confidence: null,
+      isFinal: isFinal,
+      alternatives: event.value.map((transcript) => ({ transcript: transcript, confidence: null }))
+    };
+  }
+
+  /**
+   * Wire Voice events to engine handlers
+   */
+  attach(handlers) {
+    const emitResult = (event, isFinal) => {
+      const result = RNVoiceAdapter.toResult(event, isFinal);
+      // Some platforms repeat the final result as a partial one; it is not a new utterance
+      if (!result || (!isFinal && result.transcript === this.lastFinal)) {
+        return;
+      }
+
+      this.lastFinal = isFinal ? result.transcript : null;
+      handlers.onResult(result);
+    };
+
+    Voice.onSpeechStart = () => handlers.onStart();
+    Voice.onSpeechEnd = () => handlers.onEnd();
+    Voice.onSpeechResults = (event) => emitResult(event, true);
+    Voice.onSpeechPartialResults = (event) => emitResult(event, false);
+    Voice.onSpeechError = (event) => {
+      handlers.onError(RNVoiceAdapter.toError(event.error));
+    };
+  }
+
+  /**
+   * Start recognition
+   */
+  async start(language) {
+    this.lastFinal = null;
+    try {
+      await Voice.start(language);
+    } catch (error) {
+      throw RNVoiceAdapter.toError(error);
+    }
+  }
+
+  /**
+   * Stop recognition
+   */
+  async stop() {
+    try {
+      await Voice.stop();
+    } catch (error) {
+      throw RNVoiceAdapter.toError(error);
+    }
+  }
+
+  /**
+   * Release native recognizer resources
+   */
+  async destroy() {
+    await Voice.destroy();
+  }
+}
+
+export default RNVoiceAdapter;
@@ -0,0 +1,158 @@
+/**
+ * Web Speech API Adapter
+ * Recognizer adapter for browsers exposing SpeechRecognition/webkitSpeechRecognition
+ */
+
+(function (root) {
+  'use strict';
+
+  const SpeechError = typeof module !== 'undefined' && module.exports
+    ? require('../core/SpeechError.js')
+    : root.SpeechError;
+
+  // SpeechRecognitionErrorEvent.error values mapped to SpeechError codes
+  const ERROR_MAP = {
+    'not-allowed': 'permission-denied',
+    'service-not-allowed': 'permission-denied',
+    'no-speech': 'no-speech',
+    'aborted': 'aborted',
+    'audio-capture': 'audio-capture',
+    'network': 'network',
+    'language-not-supported': 'language-not-supported',
+    'bad-grammar': 'unknown'
+  };
+
+  class WebSpeechAdapter {
+    constructor(options = {}) {
+      if (!('webkitSpeechRecognition' in root) && !('SpeechRecognition' in root)) {
+        throw new SpeechError('unsupported', 'Speech recognition not supported in this browser', {
+          platform: 'web'
+        });
+      }
+
+      const SpeechRecognition = root.SpeechRecognition || root.webkitSpeechRecognition;
+      this.recognition = new SpeechRecognition();
+
+      this.recognition.continuous = options.continuous;
+      this.recognition.interimResults = options.interimResults;
+      this.recognition.lang = options.language;
+      this.recognition.maxAlternatives = options.maxAlternatives;
+
+      this.platform = 'web';
+      this.restartDelay = 100;
+      this.isActive = false;
+    }
+
+    /**
+     * Convert a SpeechRecognitionResult into a normalized result
+     */
+    static normalizeResult(result) {
+      const alternatives = [];
+      for (let i = 0; i < result.length; i++) {
+        alternatives.push({ transcript: result[i].transcript, confidence: result[i].confidence });
+      }
+
+      return {
+        transcript: alternatives[0].transcript,
+        confidence: alternatives[0].confidence,
+        isFinal: result.isFinal,
+        alternatives: alternatives
+      };
+    }
+
+    /**
+     * Convert the last result of a SpeechRecognitionEvent into a normalized result
+     */
+    static toResult(event) {
+      return WebSpeechAdapter.normalizeResult(event.results[event.results.length - 1]);
+    }
+
+    /**
+     * Convert every result a SpeechRecognitionEvent changed, in order
+     * An event can finalize one utterance and start the next at once
+     */
+    static toResults(event) {
+      const results = [];
+      for (let i = event.resultIndex || 0; i < event.results.length; i++) {
+        results.push(WebSpeechAdapter.normalizeResult(event.results[i]));
+      }
+      return results;
+    }
+
+    /**
+     * Convert a SpeechRecognitionErrorEvent into a SpeechError
+     */
+    static toError(event) {
+      return new SpeechError(ERROR_MAP[event.error] || 'unknown', event.message || undefined, {
+        platform: 'web',
+        platformError: event.error
+      });
+    }
+
+    /**
+     * Wire recognition events to engine handlers
+     */
+    attach(handlers) {
+      this.recognition.onstart = () => {
+        this.isActive = true;
+        handlers.onStart();
+      };
+
+      this.recognition.onend = () => {
+        this.isActive = false;
+        handlers.onEnd();
+      };
+
+      this.recognition.onresult = (event) => {
+        WebSpeechAdapter.toResults(event).forEach((result) => handlers.onResult(result));
+      };
+
+      this.recognition.onerror = (event) => {
+        handlers.onError(WebSpeechAdapter.toError(event));
+      };
+    }
+
+    /**
+     * Start recognition
+     */
+    start(language) {
+      this.recognition.lang = language;
+      this.isActive = true;
+      try {
+        this.recognition.start();
+      } catch (error) {
+        this.isActive = false;
+        throw SpeechError.from(error, {
+          code: error && error.name === 'InvalidStateError' ? 'busy' : 'unknown',
+          platform: 'web'
+        });
+      }
+    }
+
+    /**
+     * Stop recognition, including a start that has not reported onstart yet
+     */
+    stop() {
+      if (this.isActive) {
+        this.recognition.stop();
+      }
+    }
+
+    /**
+     * Detach event handlers
+     */
+    destroy() {
+      this.recognition.onstart = null;
+      this.recognition.onend = null;
+      this.recognition.onresult = null;
+      this.recognition.onerror = null;
+    }
+  }
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebSpeechAdapter;
+  } else {
+    root.WebSpeechAdapter = WebSpeechAdapter;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,260 @@
+/**
+ * Command Router
+ * Matches final transcripts against command patterns with slots, such as
+ * "set a timer for {minutes:number} minutes" or "call {contact}"
+ */
+
+(function (root) {
+  'use strict';
+
+  const PhraseMatcher = typeof module !== 'undefined' && module.exports
+    ? require('./PhraseMatcher.js')
+    : root.PhraseMatcher;
+  const NumberWords = typeof module !== 'undefined' && module.exports
+    ? require('./NumberWords.js')
+    : root.NumberWords;
+
+  const DEFAULT_SENSITIVITY = 0.25;
+
+  /**
+   * Average similarity of a partial match
+   */
+  function average(result) {
+    return result.count ? result.total / result.count : 1;
+  }
+
+  /**
+   * Parse a pattern into word and slot tokens
+   * Slots are written {name} or {name:type}; {number} is a number slot named "number"
+   */
+  function parsePattern(pattern, values = {}) {
+    const tokens = [];
+
+    for (const part of pattern.split(/(\{[^}]*\})/)) {
+      const slot = /^\{\s*([\w-]+)\s*(?::\s*(\w+)\s*)?\}$/.exec(part);
+      if (!slot) {
+        if (/[{}]/.test(part)) {
+          throw new Error(`Invalid slot in command pattern "${pattern}"`);
+        }
+        PhraseMatcher.tokenize(part).forEach((token) => tokens.push({ type: 'word', word: token.word }));
+        continue;
+      }
+
+      const name = slot[1];
+      const type = slot[2] || (values[name] ? 'list' : name === 'number' ? 'number' : 'text');
+      if (!['text', 'number', 'list'].includes(type)) {
+        throw new Error(`Unknown slot type "${type}" in command pattern "${pattern}"`);
+      }
+      if (type === 'list' && !values[name]) {
+        throw new Error(`Slot "${name}" needs a list of values`);
+      }
+      tokens.push({ type: 'slot', name: name, slotType: type });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Normalize a command definition
+   * Accepts { intent, pattern } or { intent, patterns, slots: { name: [values] } }
+   */
+  function normalizeCommand(command) {
+    if (!command || typeof command.intent !== 'string' || !command.intent) {
+      throw new Error('Commands need a non-empty "intent"');
+    }
+
+    const patterns = [].concat(command.patterns || command.pattern || []);
+    if (!patterns.length) {
+      throw new Error(`Command "${command.intent}" needs at least one pattern`);
+    }
+
+    const values = command.slots || {};
+    return {
+      ...command,
+      intent: command.intent,
+      patterns: patterns,
+      slots: values,
+      compiled: patterns.map((pattern) => ({ pattern, tokens: parsePattern(pattern, values) }))
+    };
+  }
+
+  class CommandRouter {
+    constructor(options = {}) {
+      this.matcher = new PhraseMatcher({
+        mode: 'fuzzy',
+        sensitivity: options.sensitivity !== undefined ? options.sensitivity : DEFAULT_SENSITIVITY
+      });
+      this.language = options.language || 'en';
+      this.commands = [];
+      (options.commands || []).forEach((command) => this.add(command));
+    }
+
+    /**
+     * Register a command, replacing any command with the same intent
+     */
+    add(command) {
+      const normalized = normalizeCommand(command);
+      this.remove(normalized.intent);
+      this.commands.push(normalized);
+      return this;
+    }
+
+    /**
+     * Remove a command by intent
+     */
+    remove(intent) {
+      this.commands = this.commands.filter((command) => command.intent !== intent);
+      return this;
+    }
+
+    /**
+     * Registered intents
+     */
+    get intents() {
+      return this.commands.map((command) => command.intent);
+    }
+
+    /**
+     * Match a transcript against every command
+     * Returns { intent, slots, score, pattern } for the best match, or null
+     */
+    match(transcript) {
+      const words = PhraseMatcher.tokenize(transcript);
+      if (!words.length) {
+        return null;
+      }
+
+      let best = null;
+      for (const command of this.commands) {
+        for (const { pattern, tokens } of command.compiled) {
+          const result = this.matchTokens(tokens, words, transcript, command.slots);
+          if (!result) {
+            continue;
+          }
+
+          const score = average(result);
+          if (score < this.matcher.threshold) {
+            continue;
+          }
+          // Prefer the closest match, then the more specific pattern
+          if (!best || score > best.score || (score === best.score && result.count > best.count)) {
+            best = {
+              intent: command.intent,
+              slots: result.slots,
+              score: score,
+              pattern: pattern,
+              count: result.count
+            };
+          }
+        }
+      }
+
+      if (!best) {
+        return null;
+      }
+
+      const { count, ...match } = best;
+      return match;
+    }
+
+    /**
+     * Align pattern tokens with the whole transcript
+     * Pattern words may be misheard, missing or surrounded by an extra word; each
+     * counts towards the average similarity (total / count)
+     * Returns { total, count, slots } for the best alignment, or null
+     */
+    matchTokens(tokens, words, transcript, values, t = 0, w = 0, memo = new Map()) {
+      const key = `${t}:${w}`;
+      if (memo.has(key)) {
+        return memo.get(key);
+      }
+
+      let best = null;
+      const consider = (rest, similarity, counted, slots = null) => {
+        if (!rest) {
+          return;
+        }
+        const result = {
+          total: rest.total + similarity,
+          count: rest.count + (counted ? 1 : 0),
+          slots: slots ? { ...slots, ...rest.slots } : rest.slots
+        };
+        if (!best || average(result) > average(best)) {
+          best = result;
+        }
+      };
+
+      if (t === tokens.length) {
+        best = w === words.length ? { total: 0, count: 0, slots: {} } : null;
+        // Trailing extra word
+        if (w < words.length) {
+          consider(this.matchTokens(tokens, words, transcript, values, t, w + 1, memo), 0, true);
+        }
+      } else if (tokens[t].type === 'word') {
+        const token = tokens[t];
+        if (w < words.length) {
+          const similarity = this.matcher.compareWords(words[w].word, token.word);
+          consider(this.matchTokens(tokens, words, transcript, values, t + 1, w + 1, memo), similarity, true);
+          // Extra word in the transcript
+          consider(this.matchTokens(tokens, words, transcript, values, t, w + 1, memo), 0, true);
+        }
+        // Pattern word missing from the transcript
+        consider(this.matchTokens(tokens, words, transcript, values, t + 1, w, memo), 0, true);
+      } else {
+        // Slots take one or more words
+        const token = tokens[t];
+        for (let end = words.length; end > w; end--) {
+          const value = this.slotValue(token, words.slice(w, end), transcript, values);
+          if (value) {
+            consider(
+              this.matchTokens(tokens, words, transcript, values, t + 1, end, memo),
+              value.similarity || 0,
+              value.similarity !== null,
+              { [token.name]: value.value }
+            );
+          }
+        }
+      }
+
+      memo.set(key, best);
+      return best;
+    }
+
+    /**
+     * Read a slot value from a span of words
+     * Returns { value, similarity } (similarity null for free slots), or null
+     */
+    slotValue(token, span, transcript, values) {
+      if (token.slotType === 'number') {
+        const value = NumberWords.parse(span.map((word) => word.word), this.language);
+        return value === null ? null : { value: value, similarity: null };
+      }
+
+      const text = transcript.slice(span[0].start, span[span.length - 1].end);
+      if (token.slotType === 'text') {
+        return { value: text, similarity: null };
+      }
+
+      // List slots resolve to the closest listed value
+      const spoken = span.map((word) => word.word).join(' ');
+      let best = null;
+      for (const candidate of values[token.name]) {
+        const listed = PhraseMatcher.tokenize(candidate).map((word) => word.word).join(' ');
+        const similarity = 1 - PhraseMatcher.levenshtein(spoken, listed) / Math.max(spoken.length, listed.length);
+        if (similarity >= this.matcher.threshold && (!best || similarity > best.similarity)) {
+          best = { value: candidate, similarity: similarity };
+        }
+      }
+      return best;
+    }
+  }
+
+  CommandRouter.parsePattern = parsePattern;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandRouter;
+  } else {
+    root.CommandRouter = CommandRouter;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,102 @@
+/**
+ * Event Emitter
+ * Minimal multi-listener emitter used by the speech engine
+ */
+
+(function (root) {
+  'use strict';
+
+  class EventEmitter {
+    constructor() {
+      this.listeners = {};
+    }
+
+    /**
+     * Add a listener for an event
+     */
+    on(event, listener) {
+      if (typeof listener !== 'function') {
+        throw new TypeError(`Listener for "${event}" must be a function`);
+      }
+
+      (this.listeners[event] = this.listeners[event] || []).push({ listener, once: false });
+      return this;
+    }
+
+    /**
+     * Add a listener that is removed after its first call
+     */
+    once(event, listener) {
+      if (typeof listener !== 'function') {
+        throw new TypeError(`Listener for "${event}" must be a function`);
+      }
+
+      (this.listeners[event] = this.listeners[event] || []).push({ listener, once: true });
+      return this;
+    }
+
+    /**
+     * Remove a listener for an event
+     */
+    off(event, listener) {
+      const entries = this.listeners[event];
+      if (!entries) {
+        return this;
+      }
+
+      const index = entries.findIndex((entry) => entry.listener === listener);
+      if (index !== -1) {
+        entries.splice(index, 1);
+      }
+      if (!entries.length) {
+        delete this.listeners[event];
+      }
+      return this;
+    }
+
+    /**
+     * Remove all listeners for an event, or for every event
+     */
+    removeAllListeners(event) {
+      if (event === undefined) {
+        this.listeners = {};
+      } else {
+        delete this.listeners[event];
+      }
+      return this;
+    }
+
+    /**
+     * Number of listeners registered for an event
+     */
+    listenerCount(event) {
+      return this.listeners[event] ? this.listeners[event].length : 0;
+    }
+
+    /**
+     * Call every listener of an event in registration order
+     * Returns whether the event had listeners
+     */
+    emit(event, ...args) {
+      const entries = this.listeners[event];
+      if (!entries || !entries.length) {
+        return false;
+      }
+
+      for (const entry of entries.slice()) {
+        if (entry.once) {
+          this.off(event, entry.listener);
+        }
+        entry.listener(...args);
+      }
+      return true;
+    }
+  }
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventEmitter;
+  } else {
+    root.EventEmitter = EventEmitter;
+  }
+})(typeof window !== 'undefined' ? window : this);
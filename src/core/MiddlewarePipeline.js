@@ -0,0 +1,158 @@
+/**
+ * Middleware Pipeline
+ * Ordered chain of plugins that transcripts and wake/sleep/error events pass
+ * through before listeners see them
+ */
+
+(function (root) {
+  'use strict';
+
+  // Plugin hooks, each receiving (value, context)
+  const HOOKS = ['transcript', 'wake', 'sleep', 'error'];
+
+  /**
+   * Check if a value is a promise
+   */
+  function isThenable(value) {
+    return value !== null && typeof value === 'object' && typeof value.then === 'function';
+  }
+
+  /**
+   * Value after a plugin returned `result`
+   */
+  function settle(current, result) {
+    if (result === undefined || result === true) {
+      return current;
+    }
+    return result === null || result === false ? null : result;
+  }
+
+  /**
+   * Name a plugin is reported under
+   */
+  function pluginName(plugin) {
+    return plugin.name || 'anonymous';
+  }
+
+  /**
+   * Wrap an error thrown by a plugin hook, naming the plugin and hook
+   */
+  function pluginError(plugin, hook, error) {
+    const message = error && error.message ? error.message : String(error);
+    const wrapped = new Error(`Plugin "${pluginName(plugin)}" failed in its ${hook} hook: ${message}`);
+    wrapped.plugin = pluginName(plugin);
+    wrapped.hook = hook;
+    wrapped.cause = error;
+    return wrapped;
+  }
+
+  /**
+   * Normalize a plugin
+   * Accepts a transcript function or { name, transcript, wake, sleep, error, setup, teardown }
+   */
+  function normalizePlugin(plugin) {
+    const normalized = typeof plugin === 'function'
+      ? { name: plugin.name || 'anonymous', transcript: plugin }
+      : plugin;
+
+    if (!normalized || typeof normalized !== 'object') {
+      throw new TypeError('Plugins must be a function or an object with hooks');
+    }
+    const hooks = [...HOOKS, 'setup'];
+    if (!hooks.some((hook) => typeof normalized[hook] === 'function')) {
+      throw new TypeError(`Plugin needs at least one of: ${hooks.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  class MiddlewarePipeline {
+    constructor() {
+      this.plugins = [];
+    }
+
+    /**
+     * Add a plugin to the end of the chain
+     * Returns the normalized plugin
+     */
+    use(plugin) {
+      const normalized = normalizePlugin(plugin);
+      this.plugins.push({ source: plugin, plugin: normalized });
+      return normalized;
+    }
+
+    /**
+     * Remove a plugin, by the value passed to use() or by name
+     * Returns the removed plugin or null
+     */
+    remove(plugin) {
+      const index = this.plugins.findIndex((entry) =>
+        entry.source === plugin || entry.plugin === plugin ||
+        (typeof plugin === 'string' && entry.plugin.name === plugin));
+      if (index < 0) {
+        return null;
+      }
+      return this.plugins.splice(index, 1)[0].plugin;
+    }
+
+    /**
+     * Names of the registered plugins, in order
+     */
+    get names() {
+      return this.plugins.map((entry) => pluginName(entry.plugin));
+    }
+
+    /**
+     * Whether any plugin implements a hook
+     */
+    has(hook) {
+      return this.plugins.some((entry) => typeof entry.plugin[hook] === 'function');
+    }
+
+    /**
+     * Pass a value through every plugin implementing the hook, in order
+     * A plugin returns a replacement value, undefined/true to keep the value
+     * (after changing it in place) or null/false to drop it. Returns the final value
+     * (null when dropped), or a promise of it once a plugin returns a promise.
+     * Plugin errors are rethrown (or rejected) naming the plugin and hook
+     */
+    run(hook, value, context) {
+      const plugins = this.plugins
+        .map((entry) => entry.plugin)
+        .filter((plugin) => typeof plugin[hook] === 'function');
+      let index = 0;
+
+      const next = (current) => {
+        while (current !== null && index < plugins.length) {
+          const plugin = plugins[index++];
+          const fail = (error) => {
+            throw pluginError(plugin, hook, error);
+          };
+
+          let result;
+          try {
+            result = plugin[hook](current, context);
+          } catch (error) {
+            fail(error);
+          }
+          if (isThenable(result)) {
+            return result.then((resolved) => next(settle(current, resolved)), fail);
+          }
+          current = settle(current, result);
+        }
+        return current;
+      };
+
+      return next(value);
+    }
+  }
+
+  MiddlewarePipeline.HOOKS = HOOKS;
+  MiddlewarePipeline.isThenable = isThenable;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MiddlewarePipeline;
+  } else {
+    root.MiddlewarePipeline = MiddlewarePipeline;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,283 @@
+/**
+ * Number Words
+ * Parses spoken numbers ("twenty five", "veinticinco", "fünfundzwanzig", "42")
+ * into values, using a per-language table
+ */
+
+(function (root) {
+  'use strict';
+
+  // Number vocabulary per base language
+  // - units/tens:      added to the current group
+  // - hundreds:        whole hundreds added to the current group (Spanish "doscientos")
+  // - hundred:         multiplies the current group by 100
+  // - scales:          close the current group (thousand, million, ...)
+  // - connectors:      joining words, allowed after the listed kinds of word
+  // - ordinals:        irregular ordinal words; regular ones are derived by `ordinalStem`
+  const LANGUAGES = {
+    en: {
+      units: {
+        zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+        ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+        seventeen: 17, eighteen: 18, nineteen: 19
+      },
+      tens: {
+        twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+      },
+      hundreds: {},
+      hundred: ['hundred'],
+      scales: { thousand: 1000, million: 1000000, billion: 1000000000 },
+      connectors: { and: ['hundred', 'scale'] },
+      article: 'a',
+      ordinals: {
+        first: 1, second: 2, third: 3, fifth: 5, eighth: 8, ninth: 9, twelfth: 12
+      },
+      ordinalStem: (word) => {
+        if (/ieth$/.test(word)) return word.replace(/ieth$/, 'y');
+        if (/th$/.test(word)) return word.replace(/th$/, '');
+        return null;
+      }
+    },
+    es: {
+      units: {
+        cero: 0, uno: 1, un: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7,
+        ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+        dieciséis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19, veinte: 20,
+        veintiuno: 21, veintiún: 21, veintiuna: 21, veintidós: 22, veintitrés: 23, veinticuatro: 24,
+        veinticinco: 25, veintiséis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29
+      },
+      tens: {
+        treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90
+      },
+      hundreds: {
+        cien: 100, ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300,
+        cuatrocientos: 400, cuatrocientas: 400, quinientos: 500, quinientas: 500,
+        seiscientos: 600, seiscientas: 600, setecientos: 700, setecientas: 700,
+        ochocientos: 800, ochocientas: 800, novecientos: 900, novecientas: 900
+      },
+      hundred: [],
+      scales: { mil: 1000, millón: 1000000, millones: 1000000 },
+      connectors: { y: ['tens'] },
+      article: null,
+      ordinals: { primero: 1, primer: 1, primera: 1 },
+      ordinalStem: () => null
+    },
+    de: {
+      units: {
+        null: 0, eins: 1, ein: 1, eine: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6, sieben: 7,
+        acht: 8, neun: 9, zehn: 10, elf: 11, zwölf: 12, dreizehn: 13, vierzehn: 14, fünfzehn: 15,
+        sechzehn: 16, siebzehn: 17, achtzehn: 18, neunzehn: 19
+      },
+      tens: {
+        zwanzig: 20, dreißig: 30, vierzig: 40, fünfzig: 50, sechzig: 60, siebzig: 70, achtzig: 80, neunzig: 90
+      },
+      hundreds: {},
+      hundred: ['hundert'],
+      scales: { tausend: 1000, million: 1000000, millionen: 1000000 },
+      // "fünfundzwanzig": units come before tens
+      connectors: { und: ['unit'] },
+      article: null,
+      // Compound numbers are written as one word and split before parsing
+      compound: true,
+      ordinals: { erste: 1, dritte: 3, siebte: 7, achte: 8 },
+      ordinalStem: (word) => {
+        const stem = word.replace(/(ste|te)[nrms]?$/, '');
+        return stem !== word ? stem : null;
+      }
+    }
+  };
+
+  /**
+   * Number table for a language tag ('en-US', 'es-ES', 'de')
+   * Unknown languages use English
+   */
+  function rulesFor(language = 'en') {
+    const base = String(language).toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[base] || LANGUAGES.en;
+  }
+
+  /**
+   * All number words of a language, longest first
+   */
+  function vocabulary(rules) {
+    if (!rules.vocabulary) {
+      rules.vocabulary = [
+        ...Object.keys(rules.units),
+        ...Object.keys(rules.tens),
+        ...Object.keys(rules.hundreds),
+        ...rules.hundred,
+        ...Object.keys(rules.scales),
+        ...Object.keys(rules.connectors)
+      ].sort((a, b) => b.length - a.length);
+    }
+    return rules.vocabulary;
+  }
+
+  /**
+   * Split compound number words ("fünfundzwanzig" -> fünf, und, zwanzig)
+   * Returns null if the word is not made of number words only
+   */
+  function splitCompound(word, rules) {
+    const parts = [];
+    let rest = word;
+
+    while (rest) {
+      const part = vocabulary(rules).find((candidate) => rest.startsWith(candidate));
+      if (!part) {
+        return null;
+      }
+      parts.push(part);
+      rest = rest.slice(part.length);
+    }
+    return parts;
+  }
+
+  /**
+   * Parse a sequence of lowercase words as one cardinal number
+   * Returns the value, or null if the words are not exactly one number
+   */
+  function parse(words, language) {
+    const rules = rulesFor(language);
+    if (!words.length) {
+      return null;
+    }
+    if (words.length === 1 && /^\d+$/.test(words[0])) {
+      return Number(words[0]);
+    }
+
+    let parts = words;
+    if (rules.compound) {
+      parts = [];
+      for (const word of words) {
+        const split = /^\d+$/.test(word) ? [word] : splitCompound(word, rules);
+        if (!split) {
+          return null;
+        }
+        parts.push(...split);
+      }
+    }
+
+    let total = 0;
+    let current = 0;
+    // Kind of the previous word, to reject sequences like "five five" or "twenty thirty"
+    let previous = null;
+    let connected = false;
+
+    for (let i = 0; i < parts.length; i++) {
+      const word = parts[i];
+
+      if (rules.connectors[word]) {
+        if (!rules.connectors[word].includes(previous) || i === parts.length - 1) return null;
+        connected = true;
+        continue;
+      }
+
+      if (word === rules.article && i === 0 &&
+          (rules.hundred.includes(parts[1]) || rules.scales[parts[1]])) {
+        current = 1;
+        previous = 'unit';
+        continue;
+      }
+
+      if (rules.units[word] !== undefined) {
+        const value = rules.units[word];
+        if (previous === 'unit' || (previous === 'tens' && (value === 0 || value >= 10))) return null;
+        current += value;
+        previous = 'unit';
+      } else if (rules.tens[word] !== undefined) {
+        // Units only come before tens when joined ("fünf und zwanzig")
+        if (previous === 'tens' || (previous === 'unit' && !(connected && current % 100 < 10))) return null;
+        current += rules.tens[word];
+        previous = 'tens';
+      } else if (rules.hundreds[word] !== undefined) {
+        if (previous === 'unit' || previous === 'tens' || previous === 'hundred') return null;
+        current += rules.hundreds[word];
+        previous = 'hundred';
+      } else if (rules.hundred.includes(word)) {
+        if (previous === 'hundred' || current >= 100) return null;
+        current = (current || 1) * 100;
+        previous = 'hundred';
+      } else if (rules.scales[word]) {
+        if (previous === 'scale') return null;
+        total += (current || 1) * rules.scales[word];
+        current = 0;
+        previous = 'scale';
+      } else if (/^\d+$/.test(word) && previous === null) {
+        // "2 thousand"
+        current = Number(word);
+        previous = 'unit';
+      } else {
+        return null;
+      }
+      connected = false;
+    }
+
+    return total + current;
+  }
+
+  /**
+   * Parse a sequence of lowercase words as one ordinal number
+   * ("fifth", "twenty first", "5th", "primero", "dritten", "einundzwanzigste")
+   */
+  function parseOrdinal(words, language) {
+    const rules = rulesFor(language);
+    if (!words.length) {
+      return null;
+    }
+
+    const last = words[words.length - 1];
+    const head = words.slice(0, -1);
+    const digits = /^(\d+)(st|nd|rd|th|º|ª|\.)$/.exec(last);
+    if (digits) {
+      return head.length ? null : Number(digits[1]);
+    }
+
+    let value = rules.ordinals[last];
+    if (value === undefined) {
+      // Inflected irregular forms ("dritten", "erster")
+      const base = Object.keys(rules.ordinals)
+        .find((ordinal) => last.startsWith(ordinal) && last.length - ordinal.length <= 1);
+      const stem = rules.ordinalStem(last);
+      if (base) {
+        value = rules.ordinals[base];
+      } else if (stem) {
+        value = parse([stem], language);
+      }
+    }
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (!head.length) {
+      return value;
+    }
+    const prefix = parse(head, language);
+    // "twenty first": the prefix must leave room for the ordinal part
+    return prefix !== null && prefix % 10 === 0 && value < 10 ? prefix + value : null;
+  }
+
+  /**
+   * Check if a word can be part of a spoken number
+   */
+  function isNumberWord(word, language) {
+    const rules = rulesFor(language);
+    if (/^\d+$/.test(word)) {
+      return true;
+    }
+    if (rules.units[word] !== undefined || rules.tens[word] !== undefined ||
+        rules.hundreds[word] !== undefined || rules.hundred.includes(word) ||
+        rules.scales[word] !== undefined) {
+      return true;
+    }
+    return Boolean(rules.compound && splitCompound(word, rules));
+  }
+
+  const NumberWords = { parse, parseOrdinal, isNumberWord, rulesFor, LANGUAGES };
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NumberWords;
+  } else {
+    root.NumberWords = NumberWords;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,257 @@
+/**
+ * Phrase Matcher
+ * Locates wake/sleep phrases in a transcript using whole-word, fuzzy
+ * (edit distance) or phonetic (sound-alike key) comparison
+ */
+
+(function (root) {
+  'use strict';
+
+  const MATCH_MODES = ['word', 'fuzzy', 'phonetic'];
+
+  // Default sensitivity per mode, 0 = exact only, 1 = anything goes
+  const DEFAULT_SENSITIVITY = {
+    word: 0,
+    fuzzy: 0.25,
+    phonetic: 0.25
+  };
+
+  const SOUNDEX_CODES = {
+    b: '1', f: '1', p: '1', v: '1',
+    c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+    d: '3', t: '3',
+    l: '4',
+    m: '5', n: '5',
+    r: '6'
+  };
+
+  // Phonetic key rules, tried in order at each letter of a word. Consonants follow
+  // Metaphone (0 = "th", X = "sh"/"ch"); short vowels are lowercase and long vowel
+  // sounds are I "bye", E "he", A "bay", O "go", U "too", V "how", Q "saw", D "boy"
+  // and Z "there". Sounds are strings or functions of (single, letters), where
+  // `single` tells whether the word has one vowel group ("by" but not "happy")
+  const PHONETIC_RULES = [
+    [/igh/y, 'I'],
+    [/(?:eir|air|ere$|are$)/y, 'Z'],
+    [/(?:uy|ye$)/y, 'I'],
+    [/(?:ie|y|i)$/y, (single) => (single ? 'I' : 'E')],
+    [/ey$/y, (single) => (single ? 'A' : 'E')],
+    [/e$/y, (single) => (single ? 'E' : '')],
+    [/(?:ay|ai|ei)/y, 'A'],
+    [/(?:ee|ea|ie)/y, 'E'],
+    [/(?:oo|ew|ue|ui)/y, 'U'],
+    [/(?:ow|ou)/y, 'V'],
+    [/(?:oa|oe$|o$)/y, 'O'],
+    [/(?:au|aw)/y, 'Q'],
+    [/(?:oi|oy)/y, 'D'],
+    // Lengthened by a silent final "e": "bite", "home"
+    [/[aeiou](?=[^aeiouwxy]e$)/y, (single, letters) => letters.toUpperCase()],
+    [/[aeiou]/y, (single, letters) => letters],
+    [/y(?![aeiou])/y, 'i'],
+    [/(?:sch|sh|tch|ch)/y, 'X'],
+    [/th/y, '0'],
+    [/ph/y, 'F'],
+    [/ck/y, 'K'],
+    [/^(?:kn|gn|pn)/y, 'N'],
+    [/^wr/y, 'R'],
+    [/^wh/y, 'W'],
+    [/gh(?![aeiou])/y, ''],
+    [/dg(?=[eiy])/y, 'J'],
+    [/mb$/y, 'M'],
+    [/c(?=[eiy])/y, 'S'],
+    [/g(?=[eiy])/y, 'J'],
+    [/[cgkq]/y, 'K'],
+    [/x/y, 'KS'],
+    [/[sz]/y, 'S'],
+    [/d/y, 'T'],
+    [/v/y, 'F'],
+    [/[hwy](?=[aeiou])/y, (single, letters) => letters.toUpperCase()],
+    [/[hwy]/y, ''],
+    [/[a-z]/y, (single, letters) => letters.toUpperCase()]
+  ];
+
+  class PhraseMatcher {
+    constructor(options = {}) {
+      const mode = options.mode || 'word';
+      if (!MATCH_MODES.includes(mode)) {
+        throw new Error(`Unknown match mode: ${mode}`);
+      }
+
+      const sensitivity = options.sensitivity !== undefined
+        ? options.sensitivity
+        : DEFAULT_SENSITIVITY[mode];
+      if (typeof sensitivity !== 'number' || sensitivity < 0 || sensitivity > 1) {
+        throw new Error('Match sensitivity must be a number between 0 and 1');
+      }
+
+      this.mode = mode;
+      this.sensitivity = sensitivity;
+      this.threshold = 1 - sensitivity;
+    }
+
+    /**
+     * Split text into lowercase word tokens with character offsets
+     */
+    static tokenize(text) {
+      const tokens = [];
+      const pattern = /[\p{L}\p{N}']+/gu;
+      let match;
+
+      while ((match = pattern.exec(text)) !== null) {
+        tokens.push({
+          word: match[0].toLowerCase(),
+          start: match.index,
+          end: match.index + match[0].length
+        });
+      }
+
+      return tokens;
+    }
+
+    /**
+     * Levenshtein edit distance between two strings
+     */
+    static levenshtein(a, b) {
+      if (a === b) return 0;
+      if (!a.length) return b.length;
+      if (!b.length) return a.length;
+
+      let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+          current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+      }
+
+      return previous[b.length];
+    }
+
+    /**
+     * Soundex phonetic code of a word
+     */
+    static soundex(word) {
+      const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+      if (!letters) return '';
+
+      let code = letters[0].toUpperCase();
+      let previous = SOUNDEX_CODES[letters[0]] || '';
+
+      for (let i = 1; i < letters.length && code.length < 4; i++) {
+        const letter = letters[i];
+        const digit = SOUNDEX_CODES[letter] || '';
+
+        if (digit && digit !== previous) {
+          code += digit;
+        }
+        // 'h' and 'w' do not separate letters with the same code
+        if (letter !== 'h' && letter !== 'w') {
+          previous = digit;
+        }
+      }
+
+      return code.padEnd(4, '0');
+    }
+
+    /**
+     * Phonetic key of a word: its consonant and vowel sounds, one character each,
+     * so that "by", "buy" and "bye" share a key but "bay" and "he" do not
+     */
+    static phoneticKey(word) {
+      const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+      const vowelGroups = letters.replace(/^y(?=[aeiou])/, '').match(/[aeiouy]+/g) || [];
+      const single = vowelGroups.length === 1;
+
+      let key = '';
+      let i = 0;
+      while (i < letters.length) {
+        for (const [pattern, sound] of PHONETIC_RULES) {
+          pattern.lastIndex = i;
+          const found = pattern.exec(letters);
+          if (!found) continue;
+
+          const value = typeof sound === 'function' ? sound(single, found[0]) : sound;
+          // Doubled letters sound once
+          if (!key.endsWith(value)) {
+            key += value;
+          }
+          i += found[0].length;
+          break;
+        }
+      }
+
+      return key;
+    }
+
+    /**
+     * Similarity of two words in [0, 1] under the current mode
+     */
+    compareWords(a, b) {
+      if (a === b) return 1;
+
+      switch (this.mode) {
+        case 'fuzzy':
+          return 1 - PhraseMatcher.levenshtein(a, b) / Math.max(a.length, b.length);
+        case 'phonetic': {
+          const keyA = PhraseMatcher.phoneticKey(a);
+          const keyB = PhraseMatcher.phoneticKey(b);
+          if (!keyA || !keyB) return 0;
+          return 1 - PhraseMatcher.levenshtein(keyA, keyB) / Math.max(keyA.length, keyB.length);
+        }
+        default:
+          return 0;
+      }
+    }
+
+    /**
+     * Find the best occurrence of a phrase in a transcript
+     * Returns { phrase, score, start, end } with character offsets, or null
+     */
+    find(transcript, phrase) {
+      const words = PhraseMatcher.tokenize(transcript);
+      const phraseWords = PhraseMatcher.tokenize(phrase).map((token) => token.word);
+      if (!phraseWords.length || words.length < phraseWords.length) {
+        return null;
+      }
+
+      let best = null;
+      for (let i = 0; i <= words.length - phraseWords.length; i++) {
+        let total = 0;
+        for (let j = 0; j < phraseWords.length; j++) {
+          total += this.compareWords(words[i + j].word, phraseWords[j]);
+        }
+
+        const score = total / phraseWords.length;
+        if (score >= this.threshold && (!best || score > best.score)) {
+          best = {
+            phrase: phrase,
+            score: score,
+            start: words[i].start,
+            end: words[i + phraseWords.length - 1].end
+          };
+          if (score === 1) break;
+        }
+      }
+
+      return best;
+    }
+
+    /**
+     * Check if a transcript contains a phrase
+     */
+    matches(transcript, phrase) {
+      return this.find(transcript, phrase) !== null;
+    }
+  }
+
+  PhraseMatcher.MODES = MATCH_MODES;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhraseMatcher;
+  } else {
+    root.PhraseMatcher = PhraseMatcher;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,300 @@
+/**
+ * Redactor
+ * Masks profanity and personal data (phone numbers, emails, card numbers,
+ * street addresses) in transcripts, keeping an audit record of what was
+ * redacted without the redacted text itself
+ */
+
+(function (root) {
+  'use strict';
+
+  const MODES = ['mask', 'tag', 'drop'];
+
+  // Built-in profanity per base language; unknown languages use English
+  const PROFANITY = {
+    en: [
+      'fuck', 'fucking', 'fucked', 'motherfucker', 'shit', 'bullshit', 'bitch', 'asshole',
+      'bastard', 'cunt', 'dick', 'piss', 'damn', 'crap'
+    ],
+    es: ['mierda', 'joder', 'puta', 'puto', 'cabrón', 'coño', 'gilipollas', 'pendejo'],
+    de: ['scheiße', 'scheisse', 'arschloch', 'ficken', 'fick', 'wichser', 'miststück', 'verdammt']
+  };
+
+  /**
+   * Luhn checksum of a card number
+   */
+  function luhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Count the digits in a match
+   */
+  function digitCount(text) {
+    return text.replace(/\D/g, '').length;
+  }
+
+  // Built-in personal data rules, applied in this order; earlier rules win overlaps
+  // - validate: optional check of a regex match
+  const PATTERNS = [
+    {
+      category: 'card',
+      pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+      validate: (text) => luhn(text.replace(/\D/g, ''))
+    },
+    {
+      category: 'email',
+      pattern: /[\w.%+-]+@[\w-]+(?:\.[\w-]+)+/g
+    },
+    {
+      // Spoken form: "john dot smith at example dot com"
+      category: 'email',
+      pattern: /\b\w+(?: dot \w+)* at \w+(?: dot \w+)* dot (?:com|org|net|edu|gov|io|co|uk|de|es|info)\b/gi
+    },
+    {
+      category: 'phone',
+      pattern: /(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}\b/g,
+      validate: (text) => digitCount(text) >= 7 && digitCount(text) <= 15
+    },
+    {
+      category: 'address',
+      pattern: new RegExp(
+        '\\b\\d{1,5}[a-z]?,? (?:[\\p{L}\'-]+ ){1,3}?' +
+        '(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|parkway|square|sq)\\b',
+        'giu'
+      )
+    },
+    {
+      // "Calle Mayor 12", "Hauptstraße 5"
+      category: 'address',
+      pattern: new RegExp(
+        '(?:\\b(?:calle|avenida|plaza|paseo) (?:[\\p{L}\'-]+ ){1,3}|[\\p{L}-]+(?:straße|strasse|weg|platz|allee|gasse) )\\d{1,5}[a-z]?\\b',
+        'giu'
+      )
+    }
+  ];
+
+  // The unfinished end of an interim result that could still become personal data,
+  // e.g. "my number is 555 12" or "john.smith@exam"; `categories` are tried in order
+  // and the first enabled one names the redaction
+  const PARTIAL_PATTERNS = [
+    {
+      categories: ['phone', 'card'],
+      pattern: /(?:\+ ?)?\(?\d[\d ().-]*$/
+    },
+    {
+      categories: ['email'],
+      pattern: /[\w.%+-]+@[\w.-]*$/
+    },
+    {
+      // "john dot smith at exam", "jane at example dot c"
+      categories: ['email'],
+      pattern: /\b\w+(?:(?: dot \w+)+ at(?: \w+)?| at \w+ dot(?: \w+)?)(?: dot(?: \w+)?)*$/i
+    },
+    {
+      categories: ['address'],
+      pattern: /\b\d{1,5}[a-z]?,?(?: [\p{L}'-]+){1,3}$/iu
+    }
+  ];
+
+  /**
+   * Escape a string for use in a regular expression
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Whole-word pattern for a word list, longest words first
+   */
+  function wordPattern(words) {
+    const alternatives = words
+      .map((word) => escapeRegExp(word.trim()))
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length);
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+
+  /**
+   * Normalize a custom rule
+   * Accepts { category, pattern: RegExp | string, mode, replacement, validate }
+   */
+  function normalizeRule(rule) {
+    if (!rule || typeof rule.category !== 'string' || !rule.category) {
+      throw new Error('Redaction rules need a non-empty "category"');
+    }
+    if (!(rule.pattern instanceof RegExp) && typeof rule.pattern !== 'string') {
+      throw new Error(`Redaction rule "${rule.category}" needs a pattern`);
+    }
+    if (rule.mode !== undefined) {
+      checkMode(rule.mode);
+    }
+
+    const pattern = rule.pattern instanceof RegExp
+      ? new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`)
+      : new RegExp(rule.pattern, 'gi');
+    return { ...rule, pattern: pattern };
+  }
+
+  /**
+   * Validate a redaction mode
+   */
+  function checkMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown redaction mode "${mode}". Expected one of: ${MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  class Redactor {
+    constructor(options = {}) {
+      this.options = {
+        language: 'en-US',
+        mode: 'mask',
+        modes: {},
+        categories: ['profanity', 'phone', 'email', 'card', 'address'],
+        words: [],
+        rules: [],
+        maskChar: '*',
+        ...options
+      };
+      checkMode(this.options.mode);
+      Object.values(this.options.modes).forEach(checkMode);
+
+      const base = String(this.options.language).toLowerCase().split(/[-_]/)[0];
+      const enabled = this.options.categories;
+      this.rules = [
+        // Custom rules first, so they can claim text before the built-in ones
+        ...this.options.rules.map(normalizeRule),
+        ...PATTERNS.filter((rule) => enabled.includes(rule.category))
+      ];
+      this.partialRules = PARTIAL_PATTERNS
+        .map((rule) => ({ category: rule.categories.find((category) => enabled.includes(category)), pattern: rule.pattern }))
+        .filter((rule) => rule.category);
+      if (enabled.includes('profanity')) {
+        this.rules.push({ category: 'profanity', pattern: wordPattern(PROFANITY[base] || PROFANITY.en) });
+      }
+      if (this.options.words.length) {
+        this.rules.push({ category: 'custom', pattern: wordPattern(this.options.words) });
+      }
+    }
+
+    /**
+     * Mode used for a rule
+     */
+    modeFor(rule) {
+      return rule.mode || this.options.modes[rule.category] || this.options.mode;
+    }
+
+    /**
+     * Replacement text for a redacted span
+     */
+    replacementFor(rule, text, mode) {
+      if (rule.replacement !== undefined) {
+        return rule.replacement;
+      }
+      if (mode === 'tag') {
+        return `[${rule.category.toUpperCase()}]`;
+      }
+      return text.replace(/\S/g, this.options.maskChar);
+    }
+
+    /**
+     * Redact a transcript
+     * Returns { text, redactions, dropped }; `text` is null when a 'drop' rule
+     * matched. Redactions are { category, mode, start, end, length } where start/end
+     * locate the replacement in `text` and length is that of the original span.
+     * With `partial` (interim results), a trailing span that could be the start of
+     * a phone or card number, email or address is redacted as well
+     */
+    redact(text, { partial = false } = {}) {
+      const source = String(text);
+      const spans = [];
+
+      for (const rule of this.rules) {
+        rule.pattern.lastIndex = 0;
+        let found;
+        while ((found = rule.pattern.exec(source)) !== null) {
+          if (!found[0]) {
+            rule.pattern.lastIndex++;
+            continue;
+          }
+
+          const start = found.index;
+          const end = start + found[0].length;
+          const overlaps = spans.some((span) => start < span.end && end > span.start);
+          if (!overlaps && (!rule.validate || rule.validate(found[0]))) {
+            spans.push({ rule, start, end });
+          }
+        }
+      }
+      spans.sort((a, b) => a.start - b.start);
+
+      if (partial) {
+        // Only the text after the last complete match can still be growing
+        const from = spans.length ? spans[spans.length - 1].end : 0;
+        const tail = source.slice(from);
+        let longest = null;
+        for (const rule of this.partialRules) {
+          const found = rule.pattern.exec(tail);
+          if (found && found[0].trim() && (!longest || found.index < longest.index)) {
+            longest = { rule, index: found.index };
+          }
+        }
+        if (longest) {
+          spans.push({ rule: longest.rule, start: from + longest.index, end: source.length });
+        }
+      }
+
+      const redactions = [];
+      let output = '';
+      let position = 0;
+      for (const { rule, start, end } of spans) {
+        const mode = this.modeFor(rule);
+        const replacement = mode === 'drop' ? '' : this.replacementFor(rule, source.slice(start, end), mode);
+        output += source.slice(position, start);
+        redactions.push({
+          category: rule.category,
+          mode: mode,
+          start: output.length,
+          end: output.length + replacement.length,
+          length: end - start
+        });
+        output += replacement;
+        position = end;
+      }
+      output += source.slice(position);
+
+      const dropped = redactions.some((redaction) => redaction.mode === 'drop');
+      if (dropped) {
+        // Offsets refer to text that is not delivered
+        redactions.forEach((redaction) => {
+          redaction.start = null;
+          redaction.end = null;
+        });
+      }
+      return { text: dropped ? null : output, redactions, dropped };
+    }
+  }
+
+  Redactor.MODES = MODES;
+  Redactor.PROFANITY = PROFANITY;
+  Redactor.PATTERNS = PATTERNS;
+  Redactor.PARTIAL_PATTERNS = PARTIAL_PATTERNS;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Redactor;
+  } else {
+    root.Redactor = Redactor;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,83 @@
+/**
+ * Restart Policy
+ * Decides whether and when the recognizer restarts after it ends,
+ * using exponential backoff and a list of errors that stop retries
+ */
+
+(function (root) {
+  'use strict';
+
+  const DEFAULT_POLICY = {
+    baseDelayMs: 100,
+    factor: 2,
+    maxDelayMs: 30000,
+    maxRetries: 5,
+    // Errors that make further restarts pointless (permission, missing hardware, ...)
+    fatalErrors: ['permission-denied', 'audio-capture', 'unsupported', 'language-not-supported'],
+    // Errors that are part of normal operation and do not count as failures
+    benignErrors: ['no-speech', 'no-match']
+  };
+
+  class RestartPolicy {
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_POLICY, ...options };
+
+      if (!(this.options.factor >= 1)) {
+        throw new Error('Restart backoff factor must be at least 1');
+      }
+      if (!(this.options.maxRetries >= 0)) {
+        throw new Error('Restart maxRetries must be zero or more');
+      }
+    }
+
+    /**
+     * Classify an error as 'fatal', 'benign' or 'retryable' by its SpeechError code
+     */
+    classify(error) {
+      const code = error && error.code !== undefined ? error.code : String(error);
+
+      if (this.options.fatalErrors.includes(code)) return 'fatal';
+      if (this.options.benignErrors.includes(code)) return 'benign';
+      return 'retryable';
+    }
+
+    /**
+     * Decide what to do after the recognizer ended
+     * Returns { restart: true, delay, attempts } or { restart: false, attempts }
+     */
+    next(lastError, attempts) {
+      const kind = lastError === null || lastError === undefined ? 'clean' : this.classify(lastError);
+
+      if (kind === 'fatal') {
+        return { restart: false, attempts: attempts };
+      }
+      if (kind !== 'retryable') {
+        return { restart: true, delay: this.options.baseDelayMs, attempts: 0 };
+      }
+
+      const nextAttempts = attempts + 1;
+      if (nextAttempts > this.options.maxRetries) {
+        return { restart: false, attempts: nextAttempts };
+      }
+
+      return { restart: true, delay: this.delayFor(nextAttempts), attempts: nextAttempts };
+    }
+
+    /**
+     * Backoff delay for the given retry attempt (1-based)
+     */
+    delayFor(attempt) {
+      const { baseDelayMs, factor, maxDelayMs } = this.options;
+      return Math.min(baseDelayMs * Math.pow(factor, Math.max(attempt - 1, 0)), maxDelayMs);
+    }
+  }
+
+  RestartPolicy.DEFAULTS = DEFAULT_POLICY;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RestartPolicy;
+  } else {
+    root.RestartPolicy = RestartPolicy;
+  }
+})(typeof window !== 'undefined' ? window : this);
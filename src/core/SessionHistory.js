@@ -0,0 +1,194 @@
+/**
+ * Session History
+ * Persists session summaries through a storage backend and applies the retention policy
+ */
+
+(function (root) {
+  'use strict';
+
+  const TranscriptIndex = typeof module !== 'undefined' && module.exports
+    ? require('./TranscriptIndex.js')
+    : root.TranscriptIndex;
+
+  /**
+   * Session store interface
+   *
+   * A store keeps session summaries (as passed to onSessionEnd) by their `id`.
+   * Every method may return a promise:
+   *
+   * - `put(summary)`  Insert or replace a summary.
+   * - `get(id)`       The summary with this id, or null.
+   * - `delete(id)`    Remove a summary; resolves true if it existed.
+   * - `list()`        Every stored summary, in any order.
+   * - `clear()`       Remove every summary.
+   */
+
+  /**
+   * Time a summary is aged by: its end, or its start while it has not ended
+   */
+  function sessionTime(summary) {
+    return Date.parse(summary.endedAt || summary.startedAt);
+  }
+
+  class SessionHistory {
+    constructor(store, options = {}) {
+      const missing = ['put', 'get', 'delete', 'list', 'clear'].filter((method) => typeof store[method] !== 'function');
+      if (missing.length) {
+        throw new TypeError(`Session stores need these methods: ${missing.join(', ')}`);
+      }
+
+      this.store = store;
+      this.options = {
+        maxSessions: null,
+        maxAgeMs: null,
+        ...options
+      };
+      this.pending = Promise.resolve();
+      // Search index, built from the store on the first search
+      this.index = null;
+    }
+
+    /**
+     * Run a store operation after the ones already queued, so writes land in order
+     */
+    queue(operation) {
+      const result = this.pending.then(operation);
+      this.pending = result.catch(() => {});
+      return result;
+    }
+
+    /**
+     * Store a session summary; ended sessions trigger the retention policy
+     */
+    save(summary) {
+      return this.queue(async () => {
+        await this.store.put(summary);
+        if (this.index) {
+          this.index.add(summary);
+        }
+        if (summary.endedAt) {
+          await this.purgeNow();
+        }
+      });
+    }
+
+    /**
+     * Stored sessions, newest first
+     * Options: limit, since/until (Date, timestamp or ISO string, on the start time)
+     */
+    async list(options = {}) {
+      await this.pending;
+      const since = options.since !== undefined ? new Date(options.since).getTime() : -Infinity;
+      const until = options.until !== undefined ? new Date(options.until).getTime() : Infinity;
+
+      const sessions = (await this.store.list())
+        .filter((summary) => {
+          const started = Date.parse(summary.startedAt);
+          return started >= since && started <= until;
+        })
+        .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+      return options.limit !== undefined ? sessions.slice(0, options.limit) : sessions;
+    }
+
+    /**
+     * A stored session by id, or null
+     */
+    async get(id) {
+      await this.pending;
+      return (await this.store.get(id)) || null;
+    }
+
+    /**
+     * Delete a stored session; resolves true if it existed
+     */
+    delete(id) {
+      return this.queue(async () => {
+        if (this.index) {
+          this.index.remove(id);
+        }
+        return Boolean(await this.store.delete(id));
+      });
+    }
+
+    /**
+     * Delete every stored session
+     */
+    clear() {
+      return this.queue(() => {
+        if (this.index) {
+          this.index.clear();
+        }
+        return this.store.clear();
+      });
+    }
+
+    /**
+     * Apply the retention policy now
+     * Resolves with the ids of the deleted sessions
+     */
+    purge(now = Date.now()) {
+      return this.queue(() => this.purgeNow(now));
+    }
+
+    /**
+     * Delete sessions older than maxAgeMs, then all but the newest maxSessions
+     */
+    async purgeNow(now = Date.now()) {
+      const { maxSessions, maxAgeMs } = this.options;
+      if (!maxSessions && !maxAgeMs) {
+        return [];
+      }
+
+      const sessions = (await this.store.list())
+        .sort((a, b) => sessionTime(b) - sessionTime(a));
+      const expired = sessions.filter((summary, i) =>
+        (maxAgeMs && now - sessionTime(summary) > maxAgeMs) || (maxSessions && i >= maxSessions));
+
+      for (const summary of expired) {
+        if (this.index) {
+          this.index.remove(summary.id);
+        }
+        await this.store.delete(summary.id);
+      }
+      return expired.map((summary) => summary.id);
+    }
+
+    /**
+     * Search stored sessions (see TranscriptIndex.search for the query syntax and options)
+     * Runs locally against an index of the store, built on first use and kept up
+     * to date by this history's writes
+     */
+    search(query, options = {}) {
+      return this.queue(async () => {
+        if (!this.index) {
+          const index = new TranscriptIndex();
+          (await this.store.list()).forEach((summary) => index.add(summary));
+          this.index = index;
+        }
+        return this.index.search(query, options);
+      });
+    }
+
+    /**
+     * Drop the search index, so the next search rebuilds it from the store
+     * Needed after the store was changed other than through this history
+     */
+    reindex() {
+      this.index = null;
+    }
+
+    /**
+     * Resolves once every queued write has finished
+     */
+    flush() {
+      return this.pending;
+    }
+  }
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionHistory;
+  } else {
+    root.SessionHistory = SessionHistory;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,1811 @@
+/**
+ * Speech Engine
+ * Platform-agnostic wake/sleep word state and event logic shared by the
+ * web and React Native modules. Recognition itself is delegated to an adapter.
+ */
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Recognizer adapter interface
+   *
+   * An adapter wraps a concrete speech recognizer and reports normalized
+   * events back to the engine. It must implement:
+   *
+   * - `attach(handlers)`  Receives `{ onStart, onEnd, onResult, onError }`.
+   *                       Call `onResult({ transcript, confidence, isFinal, alternatives })`
+   *                       for every recognition result (`confidence` may be
+   *                       `null` when the recognizer does not report one).
+   *                       `alternatives` optionally lists every hypothesis as
+   *                       `{ transcript, confidence }`, best first.
+   *                       Pass a `SpeechError` with a stable code to `onError`;
+   *                       anything else is reported with the 'unknown' code.
+   * - `start(language)`   Start recognition. May return a promise.
+   * - `stop()`            Stop recognition. May return a promise.
+   *
+   * Optionally:
+   *
+   * - `destroy()`         Release recognizer resources. May return a promise.
+   * - `restartDelay`      Milliseconds to wait before restarting after `onEnd`.
+   * - `platform`          Platform name recorded on errors ('web', 'react-native').
+   */
+
+  /**
+   * Plugin interface
+   *
+   * Plugins are registered with `use(plugin)` (or the `plugins` option) and
+   * see events before any listener does. A plugin is a transcript function or
+   * an object with any of these hooks, each called with `(value, context)`:
+   *
+   * - `transcript`  Transcript data (`{ transcript, confidence, isFinal, metadata, ... }`)
+   * - `wake`        Wake phrase detection
+   * - `sleep`       Sleep phrase detection
+   * - `error`       SpeechError
+   *
+   * A hook returns a replacement value, undefined/true to keep the (possibly
+   * changed) value, null/false to drop the event, or a promise of any of these. Events
+   * are delivered in order even while an async plugin is pending. Dropping a
+   * wake/sleep event only hides it from listeners; transcription still starts/ends.
+   *
+   * Optionally `name`, `setup(engine)` and `teardown(engine)`.
+   */
+
+  const PhraseMatcher = typeof module !== 'undefined' && module.exports
+    ? require('./PhraseMatcher.js')
+    : root.PhraseMatcher;
+  const TranscriptionSession = typeof module !== 'undefined' && module.exports
+    ? require('./TranscriptionSession.js')
+    : root.TranscriptionSession;
+  const EventEmitter = typeof module !== 'undefined' && module.exports
+    ? require('./EventEmitter.js')
+    : root.EventEmitter;
+  const RestartPolicy = typeof module !== 'undefined' && module.exports
+    ? require('./RestartPolicy.js')
+    : root.RestartPolicy;
+  const SpeechError = typeof module !== 'undefined' && module.exports
+    ? require('./SpeechError.js')
+    : root.SpeechError;
+  const StateMachine = typeof module !== 'undefined' && module.exports
+    ? require('./StateMachine.js')
+    : root.StateMachine;
+  const CommandRouter = typeof module !== 'undefined' && module.exports
+    ? require('./CommandRouter.js')
+    : root.CommandRouter;
+  const TranscriptFormatter = typeof module !== 'undefined' && module.exports
+    ? require('./TranscriptFormatter.js')
+    : root.TranscriptFormatter;
+  const MiddlewarePipeline = typeof module !== 'undefined' && module.exports
+    ? require('./MiddlewarePipeline.js')
+    : root.MiddlewarePipeline;
+  const Redactor = typeof module !== 'undefined' && module.exports
+    ? require('./Redactor.js')
+    : root.Redactor;
+  const SessionHistory = typeof module !== 'undefined' && module.exports
+    ? require('./SessionHistory.js')
+    : root.SessionHistory;
+
+  const DEFAULT_RESTART_DELAY = 100;
+
+  // Events emitted by the engine, each with a chainable onX() shorthand
+  const EVENTS = [
+    'wakeWordDetected',
+    'sleepWordDetected',
+    'transcript',
+    'transcriptDelta',
+    'redaction',
+    'transcriptionStart',
+    'transcriptionEnd',
+    'command',
+    'sessionEnd',
+    'error',
+    'statusChange',
+    'transition',
+    'destroy'
+  ];
+
+  // Legacy status strings reported through statusChange for each state
+  const STATUS_BY_STATE = {
+    idle: 'stopped',
+    starting: 'starting',
+    armed: 'listening',
+    transcribing: 'transcribing',
+    paused: 'paused',
+    restarting: 'restarting',
+    error: 'gave-up',
+    destroyed: 'destroyed'
+  };
+
+  // Activation modes: how transcription is started and ended
+  // - wake-word:    wake/sleep phrases gate transcription
+  // - push-to-talk: beginTranscription()/endTranscription() while a button is held
+  // - toggle:       beginTranscription()/endTranscription() or toggleTranscription()
+  // - always-on:    every utterance is transcribed, no phrases needed
+  // - one-shot:     the utterance after a wake phrase is delivered as a command
+  const MODES = ['wake-word', 'push-to-talk', 'toggle', 'always-on', 'one-shot'];
+
+  // States in which recognition results are processed
+  const RESULT_STATES = ['starting', 'armed', 'transcribing', 'restarting'];
+
+  /**
+   * Normalize a wake/sleep phrase entry
+   * Accepts a string or { phrase, aliases, action, tag, ... }
+   */
+  function normalizePhrase(entry) {
+    const definition = typeof entry === 'string' ? { phrase: entry } : { ...entry };
+    if (typeof definition.phrase !== 'string' || !definition.phrase.trim()) {
+      throw new Error('Wake/sleep phrases need a non-empty "phrase"');
+    }
+
+    return {
+      ...definition,
+      phrase: definition.phrase.trim(),
+      aliases: (definition.aliases || []).map((alias) => alias.trim()).filter(Boolean),
+      action: definition.action !== undefined ? definition.action : null,
+      tag: definition.tag !== undefined ? definition.tag : null
+    };
+  }
+
+  /**
+   * Check a recognition confidence against a threshold
+   * Unknown confidence (null) always passes
+   */
+  function meetsConfidence(confidence, threshold) {
+    return !threshold || confidence === null || confidence === undefined || confidence >= threshold;
+  }
+
+  /**
+   * Strip separators left at the edges of a transcript segment
+   */
+  function trimSegment(text) {
+    return text.replace(/^[\s,.;:!?]+|[\s,;:]+$/g, '');
+  }
+
+  /**
+   * Validate an activation mode
+   */
+  function checkMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown mode "${mode}". Expected one of: ${MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  /**
+   * Key used to identify a phrase entry when adding or removing
+   */
+  function phraseKey(entry) {
+    return (typeof entry === 'string' ? entry : entry.phrase).trim().toLowerCase();
+  }
+
+  /**
+   * Add entries to a phrase list, replacing entries with the same phrase
+   */
+  function addPhrases(list, entries) {
+    const added = entries.map(normalizePhrase);
+    const keys = added.map(phraseKey);
+    return list.filter((entry) => !keys.includes(phraseKey(entry))).concat(added);
+  }
+
+  /**
+   * Remove entries from a phrase list by phrase
+   */
+  function removePhrases(list, entries) {
+    const keys = entries.map(phraseKey);
+    return list.filter((entry) => !keys.includes(phraseKey(entry)));
+  }
+
+  class SpeechEngine extends EventEmitter {
+    constructor(adapter, config = {}) {
+      super();
+      this.config = {
+        wakeWord: config.wakeWord || 'hi',
+        sleepWord: config.sleepWord || 'bye',
+        language: config.language || 'en-US',
+        matchMode: config.matchMode || 'word',
+        mode: 'wake-word',
+        commandTimeoutMs: 5000,
+        commands: [],
+        format: false,
+        redact: false,
+        storage: null,
+        retention: {},
+        wakeConfidence: 0,
+        transcriptConfidence: 0,
+        silenceTimeoutMs: null,
+        maxSessionMs: null,
+        ...config
+      };
+      checkMode(this.config.mode);
+      this.config.wakePhrases = (config.wakePhrases || [this.config.wakeWord]).map(normalizePhrase);
+      this.config.sleepPhrases = (config.sleepPhrases || [this.config.sleepWord]).map(normalizePhrase);
+      this.syncPrimaryPhrases();
+
+      this.fsm = new StateMachine('idle', StateMachine.ENGINE_TRANSITIONS, (transition) => {
+        this.handleTransition(transition);
+      });
+      this.status = STATUS_BY_STATE.idle;
+      this.isTranscribing = false;
+      this.shouldListen = false;
+      this.destroyPending = false;
+      this.pendingStop = null;
+      this.activeWakePhrase = null;
+      this.pendingCommand = null;
+      this.consumedWords = 0;
+      this.utteranceStart = null;
+      this.captions = null;
+      this.session = null;
+      this.silenceTimer = null;
+      this.maxSessionTimer = null;
+      this.restartTimer = null;
+      this.muteTimer = null;
+      this.recognizerState = 'stopped';
+      this.discardUtterance = false;
+      this.restartAttempts = 0;
+      this.lastError = null;
+      this.adapter = adapter;
+      this.matcher = this.createMatcher();
+      this.router = this.createRouter();
+      this.formatter = this.createFormatter();
+      this.redactor = this.createRedactor();
+      this.restartPolicy = this.createRestartPolicy();
+      this.pipeline = new MiddlewarePipeline();
+      this.dispatchTail = null;
+      this.history = this.createHistory();
+
+      this.adapter.attach({
+        onStart: () => this.handleStart(),
+        onEnd: () => this.handleEnd(),
+        onResult: (result) => this.processResult(result),
+        onError: (error) => this.handleError(error)
+      });
+      (config.plugins || []).forEach((plugin) => this.use(plugin));
+    }
+
+    /**
+     * Current lifecycle state
+     * One of: idle, starting, armed, transcribing, paused, restarting, error, destroyed
+     */
+    get state() {
+      return this.fsm.state;
+    }
+
+    /**
+     * Whether the recognizer is running
+     */
+    get isListening() {
+      return this.fsm.is('armed', 'transcribing');
+    }
+
+    /**
+     * Whether the engine has been destroyed
+     */
+    get isDestroyed() {
+      return this.fsm.is('destroyed');
+    }
+
+    /**
+     * Whether detection is paused
+     */
+    get isPaused() {
+      return this.fsm.is('paused');
+    }
+
+    /**
+     * Whether restarts stopped after a fatal error or too many retries
+     */
+    get gaveUp() {
+      return this.fsm.is('error');
+    }
+
+    /**
+     * Move to a new lifecycle state unless already there
+     */
+    transitionTo(state, reason) {
+      if (this.fsm.state !== state) {
+        this.fsm.transition(state, reason);
+      }
+    }
+
+    /**
+     * Report a state transition and the matching status change
+     */
+    handleTransition(transition) {
+      this.emit('transition', transition);
+
+      const status = STATUS_BY_STATE[transition.to];
+      if (status !== this.status) {
+        this.status = status;
+        this.notifyStatusChange(status);
+      }
+    }
+
+    /**
+     * State of a running recognizer given the transcription flag
+     */
+    runningState() {
+      return this.isTranscribing ? 'transcribing' : 'armed';
+    }
+
+    /**
+     * Handle recognizer start
+     */
+    handleStart() {
+      this.recognizerState = 'running';
+
+      // Starts that were superseded by stop() or pause() are ignored
+      if (!this.fsm.is('starting')) {
+        return;
+      }
+
+      this.lastError = null;
+      this.transitionTo(this.runningState(), 'recognizer-start');
+    }
+
+    /**
+     * Handle recognizer end
+     */
+    handleEnd() {
+      this.recognizerState = 'stopped';
+
+      // While paused the recognizer is restarted on resume()
+      if (!this.fsm.is('starting', 'armed', 'transcribing')) {
+        return;
+      }
+
+      // Restart if we should be listening
+      if (this.shouldRestart()) {
+        this.scheduleRestart();
+      } else {
+        this.transitionTo('idle', 'recognizer-end');
+      }
+    }
+
+    /**
+     * Build the restart policy, defaulting its base delay to the adapter's
+     */
+    createRestartPolicy() {
+      const baseDelayMs = this.adapter && this.adapter.restartDelay !== undefined
+        ? this.adapter.restartDelay
+        : DEFAULT_RESTART_DELAY;
+      return new RestartPolicy({ baseDelayMs, ...this.config.restartPolicy });
+    }
+
+    /**
+     * Restart recognition after a backoff delay, or give up
+     */
+    scheduleRestart() {
+      const decision = this.restartPolicy.next(this.lastError, this.restartAttempts);
+      this.lastError = null;
+      this.restartAttempts = decision.attempts;
+
+      if (!decision.restart) {
+        this.giveUp();
+        return;
+      }
+
+      this.transitionTo('restarting', decision.attempts ? 'retry' : 'recognizer-end');
+      clearTimeout(this.restartTimer);
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        this.beginListening();
+      }, decision.delay);
+    }
+
+    /**
+     * Stop restarting after a fatal error or too many retries
+     */
+    giveUp() {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+      this.shouldListen = false;
+
+      if (this.isTranscribing) {
+        this.resetTranscription();
+        this.notifyTranscriptionEnd('error');
+      }
+      this.transitionTo('error', 'gave-up');
+    }
+
+    /**
+     * Process a normalized recognition result
+     */
+    processResult(recognized) {
+      // Speech heard while paused (e.g. our own TTS) must not leak into the next utterance
+      if (this.fsm.is('paused') || this.discardUtterance) {
+        this.discardUtterance = !recognized.isFinal;
+        return;
+      }
+      if (!this.fsm.is(...RESULT_STATES)) {
+        return;
+      }
+
+      const result = this.selectHypothesis(recognized);
+      const text = result.transcript;
+      this.restartAttempts = 0;
+      let offset = this.consumedOffset(text);
+      if (this.utteranceStart === null) {
+        this.utteranceStart = Date.now();
+      }
+
+      // Split the utterance at trigger phrases so they never reach transcripts
+      while (offset < text.length) {
+        const segment = text.slice(offset);
+
+        // Check for wake word when not transcribing
+        if (!this.isTranscribing) {
+          if (this.config.mode === 'always-on') {
+            this.activateTranscription(null, 'always-on');
+            continue;
+          }
+
+          const detection = this.usesPhrases() ? this.detectWakePhrase(segment) : null;
+          if (!detection || !meetsConfidence(result.confidence, this.config.wakeConfidence)) {
+            break;
+          }
+          offset += detection.end;
+          this.activateTranscription(detection);
+          continue;
+        }
+
+        // Check for sleep word when transcribing, keeping the speech before it
+        const detection = this.usesPhrases() ? this.detectSleepPhrase(segment) : null;
+        if (detection) {
+          const alternatives = this.segmentAlternatives(result, offset, true);
+          this.emitTranscript(segment.slice(0, detection.start), result, true, alternatives);
+          offset += detection.end;
+          // In one-shot mode the speech before the sleep phrase may already have ended it
+          if (this.isTranscribing) {
+            this.deactivateTranscription(detection);
+          }
+          continue;
+        }
+
+        // Send transcript if we're in transcription mode
+        this.emitTranscript(segment, result, result.isFinal, this.segmentAlternatives(result, offset, false));
+        break;
+      }
+
+      this.consumedWords = result.isFinal
+        ? 0
+        : PhraseMatcher.tokenize(text.slice(0, offset)).length;
+      if (result.isFinal) {
+        this.utteranceStart = null;
+      }
+
+      // Any speech while transcribing postpones the silence timeout
+      if (this.isTranscribing) {
+        this.armSilenceTimer();
+      }
+    }
+
+    /**
+     * Character offset of the part of an utterance already consumed by triggers
+     * Tracked in words so interim revisions ("hi" -> "high") keep their place
+     */
+    consumedOffset(text, count = this.consumedWords) {
+      if (!count) {
+        return 0;
+      }
+
+      const words = PhraseMatcher.tokenize(text);
+      return words.length >= count
+        ? words[count - 1].end
+        : text.length;
+    }
+
+    /**
+     * Pick the hypothesis to process from a result's alternatives
+     * The best hypothesis is used unless only a lower-ranked one contains the
+     * trigger phrase the engine is waiting for. Returns the result with that
+     * hypothesis first
+     */
+    selectHypothesis(result) {
+      const alternatives = result.alternatives && result.alternatives.length
+        ? result.alternatives
+        : [{ transcript: result.transcript, confidence: result.confidence }];
+      const normalized = { ...result, alternatives: alternatives };
+      if (alternatives.length < 2 || !this.usesPhrases()) {
+        return normalized;
+      }
+
+      const hasTrigger = (alternative) => {
+        const segment = alternative.transcript.slice(this.consumedOffset(alternative.transcript));
+        return this.isTranscribing
+          ? Boolean(this.detectSleepPhrase(segment))
+          : Boolean(this.detectWakePhrase(segment)) &&
+            meetsConfidence(alternative.confidence, this.config.wakeConfidence);
+      };
+      const primary = { transcript: result.transcript, confidence: result.confidence };
+      if (hasTrigger(primary)) {
+        return normalized;
+      }
+
+      const chosen = alternatives.find(hasTrigger);
+      if (!chosen) {
+        return normalized;
+      }
+      return {
+        ...normalized,
+        transcript: chosen.transcript,
+        confidence: chosen.confidence,
+        alternatives: [chosen, ...alternatives.filter((alternative) => alternative !== chosen)]
+      };
+    }
+
+    /**
+     * The other hypotheses of a result, cut to the segment being transcribed
+     * Skips the words consumed before `offset` and, with `beforeSleep`, ends at
+     * a sleep phrase
+     */
+    segmentAlternatives(result, offset, beforeSleep) {
+      const skip = PhraseMatcher.tokenize(result.transcript.slice(0, offset)).length;
+
+      return result.alternatives.slice(1).map((alternative) => {
+        let segment = alternative.transcript.slice(this.consumedOffset(alternative.transcript, skip));
+        const sleep = beforeSleep ? this.detectSleepPhrase(segment) : null;
+        if (sleep) {
+          segment = segment.slice(0, sleep.start);
+        }
+        return { transcript: segment, confidence: alternative.confidence };
+      });
+    }
+
+    /**
+     * Notify a transcript segment unless it is empty
+     */
+    emitTranscript(text, result, isFinal, alternatives = []) {
+      const transcript = trimSegment(text);
+      const confidence = result.confidence !== undefined ? result.confidence : null;
+      if (!transcript || (isFinal && !meetsConfidence(confidence, this.config.transcriptConfidence))) {
+        return;
+      }
+
+      // Commands are matched on the words as spoken, listeners get the formatted text
+      const match = isFinal && this.isTranscribing ? this.router.match(transcript) : null;
+      const formatted = isFinal && this.formatter ? this.formatter.format(transcript) : transcript;
+
+      const session = this.session;
+      const startTime = this.utteranceStart;
+      const redacted = this.redactTranscript(formatted, isFinal, session);
+      if (redacted.dropped) {
+        return;
+      }
+
+      const data = {
+        transcript: redacted.text,
+        confidence: confidence,
+        isFinal: isFinal,
+        alternatives: [
+          { transcript: redacted.text, confidence: confidence },
+          ...this.prepareAlternatives(redacted.text, alternatives, isFinal)
+        ],
+        sessionId: session ? session.id : null,
+        timestamp: new Date().toISOString(),
+        redactions: redacted.redactions,
+        metadata: {}
+      };
+
+      this.dispatch('transcript', data, (value) => this.deliverTranscript(value, match, session, startTime));
+    }
+
+    /**
+     * Format and redact alternative hypotheses like the transcript itself
+     * Alternatives that end up empty, dropped or the same as an earlier one are left out
+     */
+    prepareAlternatives(transcript, alternatives, isFinal) {
+      const prepared = [];
+      const seen = new Set([transcript]);
+
+      for (const alternative of alternatives) {
+        let text = trimSegment(alternative.transcript);
+        if (text && isFinal && this.formatter) {
+          text = this.formatter.format(text);
+        }
+        if (text && this.redactor) {
+          text = this.redactor.redact(text, { partial: !isFinal }).text;
+        }
+        if (text && !seen.has(text)) {
+          seen.add(text);
+          prepared.push({
+            transcript: text,
+            confidence: alternative.confidence !== undefined ? alternative.confidence : null
+          });
+        }
+      }
+      return prepared;
+    }
+
+    /**
+     * Redact a transcript before anything else sees it, reporting what was redacted
+     * Returns { text, redactions, dropped }
+     */
+    redactTranscript(text, isFinal, session) {
+      if (!this.redactor) {
+        return { text: text, redactions: [], dropped: false };
+      }
+
+      // Interim results may end in the first half of a phone number or email
+      const redacted = this.redactor.redact(text, { partial: !isFinal });
+      if (redacted.redactions.length) {
+        const audit = {
+          redactions: redacted.redactions,
+          dropped: redacted.dropped,
+          isFinal: isFinal,
+          sessionId: session ? session.id : null,
+          timestamp: new Date().toISOString()
+        };
+        this.enqueue(() => this.emit('redaction', audit));
+      }
+      return redacted;
+    }
+
+    /**
+     * Deliver a transcript that passed the plugins
+     * The session records the transcript as listeners see it
+     */
+    deliverTranscript(data, match, session, startTime) {
+      if (data.isFinal && session) {
+        session.addSegment({
+          transcript: data.transcript,
+          confidence: data.confidence,
+          startTime: startTime
+        });
+        this.persistSession(session);
+      }
+      this.emit('transcriptDelta', this.describeDelta(data, startTime));
+
+      // Final transcripts matching a command pattern become commands instead
+      if (!match) {
+        this.notifyTranscript(data);
+      }
+
+      // One-shot mode: the first final utterance is the command
+      if (this.config.mode === 'one-shot' && this.isTranscribing && this.session === session) {
+        this.pendingCommand = data;
+        if (data.isFinal) {
+          this.deliverCommand(match);
+        }
+      } else if (match) {
+        this.emit('command', this.describeCommand(data, match));
+      }
+    }
+
+    /**
+     * Split a transcript of the current utterance into its stable prefix and
+     * unstable tail
+     * Interim words are stable once two results in a row agree on them (the last
+     * word of an interim result never is); a final result is stable as a whole.
+     * `appended` is the stable text added since the previous delta, so captions
+     * can be built by appending. Stable text is only retracted when the recognizer
+     * revises it (`revised: true`); the caption line then becomes `stable`
+     */
+    describeDelta(data, startTime) {
+      let captions = this.captions;
+      if (!captions || captions.sessionId !== data.sessionId || captions.startTime !== startTime) {
+        // A new session starts at index 0; an utterance that never got a final result keeps its index
+        const index = captions && captions.sessionId === data.sessionId
+          ? captions.index + (captions.previous ? 1 : 0)
+          : 0;
+        captions = this.captions = { sessionId: data.sessionId, startTime, index, stable: '', previous: '' };
+      }
+
+      const text = data.transcript;
+      let stable = text;
+      if (!data.isFinal) {
+        const current = PhraseMatcher.tokenize(text);
+        const previous = PhraseMatcher.tokenize(captions.previous);
+        let count = 0;
+        while (count < current.length - 1 && count < previous.length &&
+            current[count].word === previous[count].word) {
+          count++;
+        }
+        stable = count ? text.slice(0, current[count - 1].end) : '';
+        if (stable.length < captions.stable.length && text.startsWith(captions.stable)) {
+          stable = captions.stable;
+        }
+      }
+
+      const revised = !stable.startsWith(captions.stable);
+      const delta = {
+        index: captions.index,
+        stable: stable,
+        unstable: text.slice(stable.length),
+        appended: revised ? stable : stable.slice(captions.stable.length),
+        revised: revised,
+        isFinal: data.isFinal,
+        sessionId: data.sessionId,
+        timestamp: data.timestamp
+      };
+
+      if (data.isFinal) {
+        captions.index++;
+        captions.stable = '';
+        captions.previous = '';
+      } else {
+        captions.stable = stable;
+        captions.previous = text;
+      }
+      return delta;
+    }
+
+    /**
+     * Command event payload for a transcript and its pattern match (if any)
+     */
+    describeCommand(data, match) {
+      const detection = this.activeWakePhrase;
+
+      return {
+        intent: match ? match.intent : null,
+        slots: match ? this.redactSlots(match.slots) : {},
+        transcript: data.transcript,
+        score: match ? match.score : null,
+        confidence: data.confidence,
+        isFinal: data.isFinal,
+        wakePhrase: detection ? detection.phrase : null,
+        detection: detection,
+        sessionId: data.sessionId,
+        timestamp: data.timestamp
+      };
+    }
+
+    /**
+     * Redact slot values like transcripts
+     * Commands are matched on the words before redaction, so slots can hold the
+     * redacted text verbatim; values with redacted parts become their redacted
+     * text, or null under a 'drop' rule
+     */
+    redactSlots(slots) {
+      if (!this.redactor) {
+        return slots;
+      }
+
+      const redacted = {};
+      Object.keys(slots).forEach((name) => {
+        const value = slots[name];
+        const result = typeof value === 'string' || typeof value === 'number'
+          ? this.redactor.redact(String(value))
+          : null;
+        redacted[name] = result && result.redactions.length ? result.text : value;
+      });
+      return redacted;
+    }
+
+    /**
+     * Deliver the captured one-shot utterance as a command and re-arm
+     */
+    deliverCommand(match = this.router.match(this.pendingCommand.transcript)) {
+      const data = this.pendingCommand;
+
+      // An interim result delivered on timeout still belongs in the session
+      if (!data.isFinal && this.session) {
+        this.session.addSegment({
+          transcript: data.transcript,
+          confidence: data.confidence,
+          startTime: this.utteranceStart
+        });
+        this.persistSession(this.session);
+      }
+
+      const command = this.describeCommand(data, match);
+      this.enqueue(() => this.emit('command', command));
+      this.deactivateTranscription(null, 'command');
+    }
+
+    /**
+     * End a one-shot capture after the end-of-speech timeout
+     */
+    finishCommand() {
+      if (this.pendingCommand) {
+        this.deliverCommand();
+      } else {
+        this.deactivateTranscription(null, 'command-timeout');
+      }
+    }
+
+    /**
+     * Build the phrase matcher from the current match settings
+     */
+    createMatcher() {
+      return new PhraseMatcher({
+        mode: this.config.matchMode,
+        sensitivity: this.config.matchSensitivity
+      });
+    }
+
+    /**
+     * Build the command router from the configured commands
+     */
+    createRouter() {
+      return new CommandRouter({
+        commands: this.config.commands,
+        sensitivity: this.config.commandSensitivity,
+        language: this.config.language
+      });
+    }
+
+    /**
+     * Build the dictation formatter, or null when formatting is off
+     * `format` is true or the formatter options
+     */
+    createFormatter() {
+      if (!this.config.format) {
+        return null;
+      }
+
+      const options = typeof this.config.format === 'object' ? this.config.format : {};
+      return new TranscriptFormatter({ language: this.config.language, ...options });
+    }
+
+    /**
+     * Build the redactor, or null when redaction is off
+     * `redact` is true or the redactor options
+     */
+    createRedactor() {
+      if (!this.config.redact) {
+        return null;
+      }
+
+      const options = typeof this.config.redact === 'object' ? this.config.redact : {};
+      return new Redactor({ language: this.config.language, ...options });
+    }
+
+    /**
+     * Build the session history, or null without storage
+     * Stored sessions past the retention policy are purged right away
+     */
+    createHistory() {
+      if (!this.config.storage) {
+        return null;
+      }
+
+      const history = new SessionHistory(this.config.storage, this.config.retention);
+      history.purge().catch((error) => this.handleStorageError(error));
+      return history;
+    }
+
+    /**
+     * Whether the current mode is gated by wake/sleep phrases
+     */
+    usesPhrases() {
+      return this.config.mode === 'wake-word' || this.config.mode === 'one-shot';
+    }
+
+    /**
+     * Find the best matching phrase (or alias) in a transcript
+     * Returns { phrase, matched, action, tag, score, start, end } or null
+     */
+    detectPhrase(transcript, phrases) {
+      let best = null;
+
+      for (const entry of phrases) {
+        for (const text of [entry.phrase, ...entry.aliases]) {
+          const match = this.matcher.find(transcript, text);
+          if (match && (!best || match.score > best.score ||
+              (match.score === best.score && match.start < best.start))) {
+            best = {
+              phrase: entry.phrase,
+              matched: text,
+              action: entry.action,
+              tag: entry.tag,
+              entry: entry,
+              score: match.score,
+              start: match.start,
+              end: match.end
+            };
+          }
+        }
+      }
+
+      return best;
+    }
+
+    /**
+     * Detect a wake phrase in a transcript
+     */
+    detectWakePhrase(transcript) {
+      return this.detectPhrase(transcript, this.config.wakePhrases);
+    }
+
+    /**
+     * Detect a sleep phrase in a transcript
+     */
+    detectSleepPhrase(transcript) {
+      return this.detectPhrase(transcript, this.config.sleepPhrases);
+    }
+
+    /**
+     * Check if transcript contains wake word
+     */
+    containsWakeWord(transcript) {
+      return this.detectWakePhrase(transcript) !== null;
+    }
+
+    /**
+     * Check if transcript contains sleep word
+     */
+    containsSleepWord(transcript) {
+      return this.detectSleepPhrase(transcript) !== null;
+    }
+
+    /**
+     * Describe a phrase entry as a detection without a transcript match
+     */
+    describePhrase(entry) {
+      if (!entry) {
+        return null;
+      }
+
+      return {
+        phrase: entry.phrase,
+        matched: entry.phrase,
+        action: entry.action,
+        tag: entry.tag,
+        entry: entry,
+        score: 1,
+        start: null,
+        end: null
+      };
+    }
+
+    /**
+     * Activate transcription mode
+     * Reasons: 'wake-word', 'manual', 'always-on'
+     */
+    activateTranscription(
+      detection = this.describePhrase(this.config.wakePhrases[0]),
+      reason = 'wake-word'
+    ) {
+      this.isTranscribing = true;
+      this.activeWakePhrase = detection;
+      this.session = new TranscriptionSession({ wakePhrase: detection, startReason: reason });
+      if (!this.isPaused) {
+        this.armSessionTimers();
+      }
+      if (this.fsm.is('armed')) {
+        this.transitionTo('transcribing', reason);
+      }
+      if (reason === 'wake-word') {
+        this.dispatch('wake', detection, (value) => {
+          this.emit('wakeWordDetected', value ? value.phrase : null, value);
+        });
+      }
+      const start = {
+        reason: reason,
+        phrase: detection ? detection.phrase : null,
+        detection: detection,
+        sessionId: this.session.id
+      };
+      this.enqueue(() => this.emit('transcriptionStart', start));
+    }
+
+    /**
+     * Deactivate transcription mode
+     */
+    deactivateTranscription(
+      detection = this.describePhrase(this.config.sleepPhrases[0]),
+      reason = 'sleep-word'
+    ) {
+      this.resetTranscription();
+      if (this.fsm.is('transcribing')) {
+        this.transitionTo('armed', reason);
+      }
+      this.notifyTranscriptionEnd(reason, detection);
+    }
+
+    /**
+     * Leave transcription mode without notifying
+     */
+    resetTranscription() {
+      this.isTranscribing = false;
+      this.activeWakePhrase = null;
+      this.pendingCommand = null;
+      this.clearSessionTimers();
+    }
+
+    /**
+     * Report why transcription ended and close the session
+     * Reasons: 'sleep-word', 'silence', 'max-duration', 'command', 'command-timeout',
+     * 'manual', 'mode-change', 'error'
+     */
+    notifyTranscriptionEnd(reason, detection = null) {
+      if (reason === 'sleep-word') {
+        this.dispatch('sleep', detection, (value) => {
+          this.emit('sleepWordDetected', value ? value.phrase : null, value);
+        });
+      }
+      const end = {
+        reason: reason,
+        phrase: detection ? detection.phrase : null,
+        detection: detection,
+        sessionId: this.session ? this.session.id : null
+      };
+      this.enqueue(() => this.emit('transcriptionEnd', end));
+      this.endSession(reason, detection);
+    }
+
+    /**
+     * Start the silence and maximum duration timers for the active session
+     */
+    armSessionTimers() {
+      this.armSilenceTimer();
+
+      clearTimeout(this.maxSessionTimer);
+      this.maxSessionTimer = null;
+      if (this.config.maxSessionMs > 0 && this.session) {
+        const remaining = this.config.maxSessionMs - (Date.now() - this.session.startTime);
+        this.maxSessionTimer = setTimeout(() => {
+          this.maxSessionTimer = null;
+          if (this.isTranscribing) {
+            this.deactivateTranscription(null, 'max-duration');
+          }
+        }, Math.max(remaining, 0));
+      }
+    }
+
+    /**
+     * (Re)start the silence timer
+     * In one-shot mode it is the end-of-speech timeout of the command
+     */
+    armSilenceTimer() {
+      clearTimeout(this.silenceTimer);
+      this.silenceTimer = null;
+
+      const oneShot = this.config.mode === 'one-shot';
+      const timeout = oneShot ? this.config.commandTimeoutMs : this.config.silenceTimeoutMs;
+      // A held push-to-talk button means the user is not done yet
+      if (timeout > 0 && this.config.mode !== 'push-to-talk') {
+        this.silenceTimer = setTimeout(() => {
+          this.silenceTimer = null;
+          if (!this.isTranscribing) {
+            return;
+          }
+          if (oneShot) {
+            this.finishCommand();
+          } else {
+            this.deactivateTranscription(null, 'silence');
+          }
+        }, timeout);
+      }
+    }
+
+    /**
+     * Cancel the session timers
+     */
+    clearSessionTimers() {
+      clearTimeout(this.silenceTimer);
+      clearTimeout(this.maxSessionTimer);
+      this.silenceTimer = null;
+      this.maxSessionTimer = null;
+    }
+
+    /**
+     * Close the active session and report its summary
+     */
+    endSession(reason, detection = null) {
+      const session = this.session;
+      if (!session) {
+        return;
+      }
+
+      this.session = null;
+      session.end(reason, detection);
+      // Queued, so segments of transcripts still in the plugins are included
+      this.enqueue(() => {
+        this.persistSession(session);
+        this.emit('sessionEnd', session.toJSON());
+      });
+    }
+
+    /**
+     * Save a session to the history, if storage is configured
+     * Final segments are saved as they arrive, so a session interrupted by a
+     * reload or crash is kept up to its last segment (with endedAt null)
+     */
+    persistSession(session) {
+      if (this.history) {
+        this.history.save(session.toJSON()).catch((error) => this.handleStorageError(error));
+      }
+    }
+
+    /**
+     * Start transcribing without a wake phrase, starting the recognizer if needed
+     */
+    async beginTranscription() {
+      if (this.isDestroyed || this.destroyPending) {
+        return;
+      }
+
+      if (!this.shouldListen) {
+        await this.startListening();
+      }
+      if (this.shouldListen && !this.isTranscribing) {
+        this.activateTranscription(null, 'manual');
+      }
+    }
+
+    /**
+     * End the active transcription; the recognizer keeps listening
+     */
+    endTranscription() {
+      if (this.isTranscribing) {
+        this.deactivateTranscription(null, 'manual');
+      }
+    }
+
+    /**
+     * Begin or end transcription, whichever applies
+     */
+    async toggleTranscription() {
+      if (this.isTranscribing) {
+        this.endTranscription();
+      } else {
+        await this.beginTranscription();
+      }
+    }
+
+    /**
+     * Start listening for speech
+     */
+    async startListening() {
+      if (this.isDestroyed || this.destroyPending) {
+        return;
+      }
+
+      this.shouldListen = true;
+      this.restartAttempts = 0;
+      await this.beginListening();
+    }
+
+    /**
+     * Start the recognizer, retrying through the restart policy on failure
+     */
+    async beginListening() {
+      // Let a pending stop finish before starting again
+      if (this.pendingStop) {
+        await this.pendingStop;
+      }
+      if (!this.adapter || !this.shouldListen || !this.fsm.is('idle', 'restarting', 'paused', 'error')) {
+        return;
+      }
+
+      const reasons = { restarting: 'restart', paused: 'resume' };
+      this.transitionTo('starting', reasons[this.state] || 'start');
+      this.recognizerState = 'starting';
+      try {
+        await this.adapter.start(this.config.language);
+      } catch (error) {
+        this.recognizerState = 'stopped';
+        this.handleError(error);
+        if (!this.fsm.is('starting')) {
+          return;
+        }
+        if (this.shouldRestart()) {
+          this.scheduleRestart();
+        } else {
+          this.transitionTo('idle', 'start-failed');
+        }
+        return;
+      }
+
+      // A stop requested while the start was pending wins
+      if (!this.shouldListen) {
+        await this.stopRecognizer();
+      }
+    }
+
+    /**
+     * Stop listening for speech
+     * Recognition stays off until startListening() is called again
+     */
+    async stopListening() {
+      this.shouldListen = false;
+      clearTimeout(this.restartTimer);
+      clearTimeout(this.muteTimer);
+      this.restartTimer = null;
+      this.muteTimer = null;
+      if (this.isTranscribing) {
+        this.resetTranscription();
+        this.notifyTranscriptionEnd('manual');
+      }
+      this.consumedWords = 0;
+      this.utteranceStart = null;
+      this.discardUtterance = false;
+      if (!this.fsm.is('idle', 'destroyed')) {
+        this.transitionTo('idle', 'stop');
+      }
+      await this.stopRecognizer();
+    }
+
+    /**
+     * Pause wake/sleep detection and transcription without stopping the recognizer
+     * Speech heard while paused is ignored; an active session is kept for resume()
+     */
+    async pause() {
+      clearTimeout(this.muteTimer);
+      this.muteTimer = null;
+      if (!this.fsm.is('starting', 'armed', 'transcribing', 'restarting')) {
+        return;
+      }
+
+      // A recognizer that ends while paused is restarted on resume()
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+      this.clearSessionTimers();
+      this.consumedWords = 0;
+      this.utteranceStart = null;
+      this.transitionTo('paused', 'pause');
+    }
+
+    /**
+     * Resume after pause(), restoring listening or the active transcription
+     */
+    async resume() {
+      clearTimeout(this.muteTimer);
+      this.muteTimer = null;
+      if (!this.fsm.is('paused')) {
+        return;
+      }
+
+      if (this.recognizerState === 'running') {
+        this.transitionTo(this.runningState(), 'resume');
+      } else if (this.recognizerState === 'starting') {
+        this.transitionTo('starting', 'resume');
+      } else {
+        this.restartAttempts = 0;
+        await this.beginListening();
+      }
+
+      if (this.isTranscribing && !this.fsm.is('paused')) {
+        this.armSessionTimers();
+      }
+    }
+
+    /**
+     * Pause for a fixed time, e.g. while the app is speaking
+     */
+    async muteFor(ms) {
+      await this.pause();
+      if (!this.fsm.is('paused')) {
+        return;
+      }
+
+      this.muteTimer = setTimeout(() => {
+        this.muteTimer = null;
+        this.resume();
+      }, ms);
+    }
+
+    /**
+     * Stop the recognizer, sharing one promise between concurrent callers
+     */
+    stopRecognizer() {
+      if (!this.adapter) {
+        return Promise.resolve();
+      }
+
+      if (!this.pendingStop) {
+        const adapter = this.adapter;
+        this.pendingStop = (async () => {
+          try {
+            await adapter.stop();
+          } catch (error) {
+            this.handleError(error);
+          } finally {
+            this.pendingStop = null;
+          }
+        })();
+      }
+      return this.pendingStop;
+    }
+
+    /**
+     * Check if recognition should restart
+     */
+    shouldRestart() {
+      // Only restart while listening is intended, never after stop/destroy
+      return this.shouldListen && !this.isDestroyed && this.adapter !== null;
+    }
+
+    /**
+     * Handle errors
+     */
+    handleError(error) {
+      const speechError = SpeechError.from(error, {
+        platform: this.adapter ? this.adapter.platform : undefined
+      });
+      if (!speechError.state) {
+        speechError.state = this.getStatus();
+      }
+
+      this.lastError = speechError;
+      this.dispatch('error', speechError, (value) => this.emit('error', value));
+    }
+
+    /**
+     * Report a failed storage operation
+     * Unlike recognizer errors, it has no effect on restarts
+     */
+    handleStorageError(error) {
+      const speechError = SpeechError.from(error, {
+        code: 'storage',
+        platform: this.adapter ? this.adapter.platform : undefined,
+        state: this.getStatus()
+      });
+      this.dispatch('error', speechError, (value) => this.emit('error', value));
+    }
+
+    /**
+     * Register a plugin (see the plugin interface above)
+     */
+    use(plugin) {
+      const added = this.pipeline.use(plugin);
+      if (typeof added.setup === 'function') {
+        added.setup(this);
+      }
+      return this;
+    }
+
+    /**
+     * Remove a plugin, by the value passed to use() or by name
+     */
+    unuse(plugin) {
+      const removed = this.pipeline.remove(plugin);
+      if (removed && typeof removed.teardown === 'function') {
+        removed.teardown(this);
+      }
+      return this;
+    }
+
+    /**
+     * Run a value through the plugins for a hook, then deliver it
+     * Dropped values are not delivered; a failing plugin drops the event and
+     * is reported as an error
+     */
+    dispatch(hook, value, deliver) {
+      this.enqueue(() => {
+        if (value === null || !this.pipeline.has(hook)) {
+          deliver(value);
+          return null;
+        }
+
+        const context = { hook: hook, engine: this };
+        const settled = (result) => {
+          if (result !== null) {
+            deliver(result);
+          }
+        };
+        const failed = (error) => this.handlePluginError(hook, value, error, deliver);
+
+        let result;
+        try {
+          result = this.pipeline.run(hook, value, context);
+        } catch (error) {
+          failed(error);
+          return null;
+        }
+        if (MiddlewarePipeline.isThenable(result)) {
+          return result.then(settled, failed);
+        }
+        settled(result);
+        return null;
+      });
+    }
+
+    /**
+     * Report a plugin failure
+     * A failing error hook still lets the original error through
+     */
+    handlePluginError(hook, value, error, deliver) {
+      if (hook === 'error') {
+        console.warn('Error in speech plugin:', error);
+        deliver(value);
+        return;
+      }
+
+      this.emit('error', SpeechError.from(error, {
+        platform: this.adapter ? this.adapter.platform : undefined,
+        state: this.getStatus()
+      }));
+    }
+
+    /**
+     * Run an event delivery now, or after deliveries still waiting on async plugins
+     */
+    enqueue(task) {
+      const pending = this.dispatchTail
+        ? this.dispatchTail.then(task)
+        : task();
+      if (!MiddlewarePipeline.isThenable(pending)) {
+        return;
+      }
+
+      const tail = pending
+        .catch((error) => console.warn('Error in speech event listener:', error))
+        .then(() => {
+          if (this.dispatchTail === tail) {
+            this.dispatchTail = null;
+          }
+        });
+      this.dispatchTail = tail;
+    }
+
+    /**
+     * Notify status change
+     */
+    notifyStatusChange(status) {
+      this.emit('statusChange', status);
+    }
+
+    /**
+     * Notify transcript
+     */
+    notifyTranscript(data) {
+      this.emit('transcript', data);
+    }
+
+    /**
+     * Add callback for wake word detection
+     */
+    onWakeWordDetected(callback) {
+      return this.on('wakeWordDetected', callback);
+    }
+
+    /**
+     * Add callback for sleep word detection
+     */
+    onSleepWordDetected(callback) {
+      return this.on('sleepWordDetected', callback);
+    }
+
+    /**
+     * Add callback for transcript updates
+     */
+    onTranscript(callback) {
+      return this.on('transcript', callback);
+    }
+
+    /**
+     * Add callback for the stable/unstable split of each transcript
+     */
+    onTranscriptDelta(callback) {
+      return this.on('transcriptDelta', callback);
+    }
+
+    /**
+     * Add callback for redaction audit records
+     */
+    onRedaction(callback) {
+      return this.on('redaction', callback);
+    }
+
+    /**
+     * Add callback for the start of transcription, whatever the trigger
+     */
+    onTranscriptionStart(callback) {
+      return this.on('transcriptionStart', callback);
+    }
+
+    /**
+     * Add callback for the end of transcription, whatever the reason
+     */
+    onTranscriptionEnd(callback) {
+      return this.on('transcriptionEnd', callback);
+    }
+
+    /**
+     * Add callback for commands ({ intent, slots, transcript, ... })
+     */
+    onCommand(callback) {
+      return this.on('command', callback);
+    }
+
+    /**
+     * Add callback for session summaries
+     */
+    onSessionEnd(callback) {
+      return this.on('sessionEnd', callback);
+    }
+
+    /**
+     * Add callback for errors
+     */
+    onError(callback) {
+      return this.on('error', callback);
+    }
+
+    /**
+     * Add callback for status changes
+     */
+    onStatusChange(callback) {
+      return this.on('statusChange', callback);
+    }
+
+    /**
+     * Add callback for state transitions ({ from, to, reason })
+     */
+    onTransition(callback) {
+      return this.on('transition', callback);
+    }
+
+    /**
+     * Add callback for engine destruction
+     */
+    onDestroy(callback) {
+      return this.on('destroy', callback);
+    }
+
+    /**
+     * Resolve with the arguments of the next occurrence of an event
+     * Rejects on timeout or when the engine is destroyed
+     */
+    waitForEvent(event, options = {}) {
+      return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const cleanup = () => {
+          clearTimeout(timer);
+          this.off(event, onEvent);
+          this.off('destroy', onDestroy);
+        };
+        const onEvent = (...args) => {
+          cleanup();
+          resolve(args);
+        };
+        const onDestroy = () => {
+          cleanup();
+          reject(new Error('Speech engine destroyed'));
+        };
+
+        this.on(event, onEvent);
+        this.on('destroy', onDestroy);
+        if (options.timeout > 0) {
+          timer = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Timed out waiting for ${event} after ${options.timeout}ms`));
+          }, options.timeout);
+        }
+      });
+    }
+
+    /**
+     * Wait for the next wake phrase
+     * Resolves with the detection ({ phrase, matched, action, tag, ... })
+     */
+    async waitForWake(options = {}) {
+      const [, detection] = await this.waitForEvent('wakeWordDetected', options);
+      return detection;
+    }
+
+    /**
+     * Wait for the next transcription session to end
+     * Resolves with the session summary, including its assembled `text`
+     */
+    async nextSession(options = {}) {
+      const [session] = await this.waitForEvent('sessionEnd', options);
+      return session;
+    }
+
+    /**
+     * Async iterator over transcript events
+     * The listener is removed when the loop exits or the engine is destroyed
+     */
+    transcripts(options = {}) {
+      const queue = [];
+      const waiting = [];
+      let done = false;
+
+      const onTranscript = (data) => {
+        if (options.finalOnly && !data.isFinal) {
+          return;
+        }
+        if (waiting.length) {
+          waiting.shift()({ value: data, done: false });
+        } else {
+          queue.push(data);
+        }
+      };
+      const finish = () => {
+        if (done) {
+          return;
+        }
+        done = true;
+        this.off('transcript', onTranscript);
+        this.off('destroy', finish);
+        while (waiting.length) {
+          waiting.shift()({ value: undefined, done: true });
+        }
+      };
+
+      this.on('transcript', onTranscript);
+      this.on('destroy', finish);
+
+      return {
+        next() {
+          if (queue.length) {
+            return Promise.resolve({ value: queue.shift(), done: false });
+          }
+          if (done) {
+            return Promise.resolve({ value: undefined, done: true });
+          }
+          return new Promise((resolve) => waiting.push(resolve));
+        },
+        return() {
+          finish();
+          queue.length = 0;
+          return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]() {
+          return this;
+        }
+      };
+    }
+
+    /**
+     * Summary of the active transcription session so far, or null
+     */
+    getSession() {
+      return this.session ? this.session.toJSON() : null;
+    }
+
+    /**
+     * Get current status
+     */
+    getStatus() {
+      return {
+        state: this.state,
+        isListening: this.isListening,
+        isPaused: this.isPaused,
+        shouldListen: this.shouldListen,
+        isTranscribing: this.isTranscribing,
+        mode: this.config.mode,
+        wakeWord: this.config.wakeWord,
+        sleepWord: this.config.sleepWord,
+        wakePhrases: this.config.wakePhrases.map((entry) => entry.phrase),
+        sleepPhrases: this.config.sleepPhrases.map((entry) => entry.phrase),
+        commands: this.router.intents,
+        plugins: this.pipeline.names,
+        activeWakePhrase: this.activeWakePhrase,
+        sessionId: this.session ? this.session.id : null,
+        matchMode: this.matcher.mode,
+        matchSensitivity: this.matcher.sensitivity,
+        restartAttempts: this.restartAttempts,
+        gaveUp: this.gaveUp
+      };
+    }
+
+    /**
+     * Update configuration
+     */
+    updateConfig(newConfig) {
+      const {
+        addWakePhrases,
+        removeWakePhrases,
+        addSleepPhrases,
+        removeSleepPhrases,
+        addCommands,
+        removeCommands,
+        ...settings
+      } = newConfig;
+
+      if ('mode' in settings) {
+        checkMode(settings.mode);
+      }
+      const modeChanged = 'mode' in settings && settings.mode !== this.config.mode;
+      this.config = { ...this.config, ...settings };
+
+      // A single wake/sleep word replaces the phrase list unless one is given
+      if ('wakePhrases' in settings || 'wakeWord' in settings) {
+        this.config.wakePhrases = (settings.wakePhrases || [settings.wakeWord]).map(normalizePhrase);
+      }
+      if ('sleepPhrases' in settings || 'sleepWord' in settings) {
+        this.config.sleepPhrases = (settings.sleepPhrases || [settings.sleepWord]).map(normalizePhrase);
+      }
+
+      if (addWakePhrases) {
+        this.config.wakePhrases = addPhrases(this.config.wakePhrases, addWakePhrases);
+      }
+      if (removeWakePhrases) {
+        this.config.wakePhrases = removePhrases(this.config.wakePhrases, removeWakePhrases);
+      }
+      if (addSleepPhrases) {
+        this.config.sleepPhrases = addPhrases(this.config.sleepPhrases, addSleepPhrases);
+      }
+      if (removeSleepPhrases) {
+        this.config.sleepPhrases = removePhrases(this.config.sleepPhrases, removeSleepPhrases);
+      }
+      this.syncPrimaryPhrases();
+
+      if (addCommands) {
+        const intents = addCommands.map((command) => command.intent);
+        this.config.commands = this.config.commands
+          .filter((command) => !intents.includes(command.intent))
+          .concat(addCommands);
+      }
+      if (removeCommands) {
+        this.config.commands = this.config.commands
+          .filter((command) => !removeCommands.includes(command.intent));
+      }
+      if ('commands' in settings || addCommands || removeCommands ||
+          'commandSensitivity' in settings || 'language' in settings) {
+        this.router = this.createRouter();
+      }
+      if ('format' in settings || 'language' in settings) {
+        this.formatter = this.createFormatter();
+      }
+      if ('redact' in settings || 'language' in settings) {
+        this.redactor = this.createRedactor();
+      }
+      if ('storage' in settings || 'retention' in settings) {
+        this.history = this.createHistory();
+      }
+
+      if ('matchMode' in newConfig || 'matchSensitivity' in newConfig) {
+        this.matcher = this.createMatcher();
+      }
+      if ('restartPolicy' in newConfig) {
+        this.restartPolicy = this.createRestartPolicy();
+      }
+
+      // Switching modes ends a transcription started under the old rules
+      if (modeChanged && this.isTranscribing) {
+        this.deactivateTranscription(null, 'mode-change');
+      } else if (this.isTranscribing && !this.isPaused && ('silenceTimeoutMs' in newConfig ||
+          'commandTimeoutMs' in newConfig || 'maxSessionMs' in newConfig)) {
+        this.armSessionTimers();
+      }
+    }
+
+    /**
+     * Keep wakeWord/sleepWord pointing at the first configured phrase
+     */
+    syncPrimaryPhrases() {
+      const [wake] = this.config.wakePhrases;
+      const [sleep] = this.config.sleepPhrases;
+      this.config.wakeWord = wake ? wake.phrase : null;
+      this.config.sleepWord = sleep ? sleep.phrase : null;
+    }
+
+    /**
+     * Destroy the engine and clean up resources
+     */
+    async destroy() {
+      if (this.isDestroyed || this.destroyPending) {
+        return;
+      }
+
+      this.destroyPending = true;
+      await this.stopListening();
+      if (this.history) {
+        // Let the final save of the last session finish
+        await this.dispatchTail;
+        await this.history.flush();
+      }
+      this.transitionTo('destroyed', 'destroy');
+      this.emit('destroy');
+      this.removeAllListeners();
+      this.pipeline.plugins.slice().forEach((entry) => this.unuse(entry.plugin));
+
+      const adapter = this.adapter;
+      this.adapter = null;
+      if (adapter && adapter.destroy) {
+        try {
+          await adapter.destroy();
+        } catch (error) {
+          console.warn('Error destroying speech recognizer:', error);
+        }
+      }
+    }
+  }
+
+  SpeechEngine.EVENTS = EVENTS;
+  SpeechEngine.MODES = MODES;
+  SpeechEngine.STATES = StateMachine.ENGINE_STATES;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeechEngine;
+  } else {
+    root.SpeechEngine = SpeechEngine;
+  }
+})(typeof window !== 'undefined' ? window : this);
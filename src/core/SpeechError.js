@@ -0,0 +1,80 @@
+/**
+ * Speech Error
+ * Typed error with a stable, platform-independent code
+ */
+
+(function (root) {
+  'use strict';
+
+  // Stable error codes shared by every adapter
+  const ERROR_CODES = {
+    'permission-denied': { recoverable: false, message: 'Microphone or speech recognition permission denied' },
+    'no-speech': { recoverable: true, message: 'No speech was detected' },
+    'no-match': { recoverable: true, message: 'Speech was not recognized' },
+    'network': { recoverable: true, message: 'Network error during speech recognition' },
+    'audio-capture': { recoverable: false, message: 'Audio capture failed' },
+    'aborted': { recoverable: true, message: 'Speech recognition was aborted' },
+    'busy': { recoverable: true, message: 'Speech recognizer is busy' },
+    'service-unavailable': { recoverable: true, message: 'Speech recognition service unavailable' },
+    'unsupported': { recoverable: false, message: 'Speech recognition is not supported' },
+    'language-not-supported': { recoverable: false, message: 'Language is not supported' },
+    'storage': { recoverable: true, message: 'Transcript storage failed' },
+    'unknown': { recoverable: true, message: 'Speech recognition error' }
+  };
+
+  class SpeechError extends Error {
+    constructor(code, message, details = {}) {
+      const known = ERROR_CODES[code] ? code : 'unknown';
+      super(message || ERROR_CODES[known].message);
+
+      this.name = 'SpeechError';
+      this.code = known;
+      this.recoverable = details.recoverable !== undefined
+        ? details.recoverable
+        : ERROR_CODES[known].recoverable;
+      this.platform = details.platform || null;
+      this.platformError = details.platformError !== undefined ? details.platformError : null;
+      this.state = details.state || null;
+    }
+
+    /**
+     * Wrap any thrown value or error payload in a SpeechError
+     */
+    static from(error, details = {}) {
+      if (error instanceof SpeechError) {
+        return error;
+      }
+
+      const message = typeof error === 'string'
+        ? error
+        : (error && error.message) || undefined;
+      return new SpeechError(details.code || 'unknown', message, { platformError: error, ...details });
+    }
+
+    /**
+     * Plain representation for logging and transport
+     */
+    toJSON() {
+      return {
+        name: this.name,
+        code: this.code,
+        message: this.message,
+        recoverable: this.recoverable,
+        platform: this.platform,
+        platformError: this.platformError instanceof Error
+          ? { name: this.platformError.name, message: this.platformError.message }
+          : this.platformError,
+        state: this.state
+      };
+    }
+  }
+
+  SpeechError.CODES = Object.keys(ERROR_CODES);
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeechError;
+  } else {
+    root.SpeechError = SpeechError;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,73 @@
+/**
+ * State Machine
+ * Finite-state machine with a fixed transition table, used for the engine lifecycle
+ */
+
+(function (root) {
+  'use strict';
+
+  // Allowed transitions of the speech engine lifecycle
+  const ENGINE_TRANSITIONS = {
+    idle: ['starting', 'destroyed'],
+    starting: ['armed', 'transcribing', 'paused', 'restarting', 'idle', 'error', 'destroyed'],
+    armed: ['transcribing', 'paused', 'restarting', 'idle', 'error', 'destroyed'],
+    transcribing: ['armed', 'paused', 'restarting', 'idle', 'error', 'destroyed'],
+    paused: ['armed', 'transcribing', 'starting', 'restarting', 'idle', 'error', 'destroyed'],
+    restarting: ['starting', 'paused', 'idle', 'error', 'destroyed'],
+    error: ['starting', 'idle', 'destroyed'],
+    destroyed: []
+  };
+
+  class StateMachine {
+    constructor(initial, transitions = ENGINE_TRANSITIONS, onTransition = null) {
+      if (!transitions[initial]) {
+        throw new Error(`Unknown initial state: ${initial}`);
+      }
+
+      this.state = initial;
+      this.transitions = transitions;
+      this.onTransition = onTransition;
+    }
+
+    /**
+     * Check if the current state is one of the given states
+     */
+    is(...states) {
+      return states.includes(this.state);
+    }
+
+    /**
+     * Check if a transition to the given state is allowed
+     */
+    can(to) {
+      return (this.transitions[this.state] || []).includes(to);
+    }
+
+    /**
+     * Move to a new state, throwing on transitions the table does not allow
+     * Returns the transition ({ from, to, reason })
+     */
+    transition(to, reason = null) {
+      if (!this.can(to)) {
+        throw new Error(`Invalid state transition: ${this.state} -> ${to}`);
+      }
+
+      const transition = { from: this.state, to: to, reason: reason };
+      this.state = to;
+      if (this.onTransition) {
+        this.onTransition(transition);
+      }
+      return transition;
+    }
+  }
+
+  StateMachine.ENGINE_TRANSITIONS = ENGINE_TRANSITIONS;
+  StateMachine.ENGINE_STATES = Object.keys(ENGINE_TRANSITIONS);
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateMachine;
+  } else {
+    root.StateMachine = StateMachine;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,229 @@
+/**
+ * Transcript Exporter
+ * Turns session summaries into SRT and WebVTT captions, JSON records and plain text
+ */
+
+(function (root) {
+  'use strict';
+
+  // Export formats with their file extension and MIME type
+  const FORMATS = {
+    srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    txt: { extension: 'txt', mimeType: 'text/plain' }
+  };
+
+  // Version of the JSON export schema
+  const SCHEMA_VERSION = 1;
+
+  /**
+   * Summary of a live session, or the summary itself
+   */
+  function toSummary(session) {
+    return typeof session.toJSON === 'function' ? session.toJSON() : session;
+  }
+
+  /**
+   * Format milliseconds as HH:MM:SS
+   */
+  function clock(ms) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    return [hours, minutes, seconds].map((part) => String(part).padStart(2, '0')).join(':');
+  }
+
+  /**
+   * Format milliseconds as HH:MM:SS plus milliseconds after `separator`
+   */
+  function timestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    return clock(total) + separator + String(total % 1000).padStart(3, '0');
+  }
+
+  /**
+   * Wrap text into lines of at most `width` characters
+   * Words longer than a line get a line of their own
+   */
+  function wrap(text, width) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + 1 + word.length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  class TranscriptExporter {
+    constructor(options = {}) {
+      this.options = {
+        maxLineLength: 42,
+        maxLines: 2,
+        minCueMs: 1000,
+        maxCueMs: 7000,
+        timestamps: false,
+        ...options
+      };
+      if (this.options.maxLineLength < 1 || this.options.maxLines < 1) {
+        throw new Error('maxLineLength and maxLines must be at least 1');
+      }
+      if (this.options.minCueMs > this.options.maxCueMs) {
+        throw new Error('minCueMs must not be greater than maxCueMs');
+      }
+    }
+
+    /**
+     * Export one session or a list of sessions in a format ('srt', 'vtt', 'json' or 'txt')
+     * Accepts session summaries (as passed to onSessionEnd) or live sessions
+     */
+    export(sessions, format) {
+      switch (format) {
+        case 'srt': return this.toSRT(sessions);
+        case 'vtt': return this.toWebVTT(sessions);
+        case 'json': return this.toJSON(sessions);
+        case 'txt': return this.toText(sessions);
+        default:
+          throw new Error(`Unknown export format "${format}". Expected one of: ${Object.keys(FORMATS).join(', ')}`);
+      }
+    }
+
+    /**
+     * Caption cues ({ startMs, endMs, lines }) of the final segments
+     * Times are relative to the start of the earliest session, and sessions are
+     * placed by their start time in any order (history.list() is newest first).
+     * Segments too long for one cue are split in proportion to their text, and
+     * cues are kept between minCueMs and maxCueMs without overlapping the next cue
+     */
+    cues(sessions) {
+      const summaries = [].concat(sessions).map(toSummary);
+      if (!summaries.length) {
+        return [];
+      }
+
+      const origin = Math.min(...summaries.map((summary) => Date.parse(summary.startedAt)));
+      const { maxLineLength, maxLines, minCueMs, maxCueMs } = this.options;
+      const cues = [];
+
+      for (const summary of summaries) {
+        const offset = Date.parse(summary.startedAt) - origin;
+        for (const segment of summary.segments) {
+          const lines = wrap(segment.transcript, maxLineLength);
+          const length = lines.reduce((sum, line) => sum + line.length, 0);
+          const duration = segment.endMs - segment.startMs;
+          let start = offset + segment.startMs;
+
+          for (let i = 0; i < lines.length; i += maxLines) {
+            const chunk = lines.slice(i, i + maxLines);
+            const share = chunk.reduce((sum, line) => sum + line.length, 0) / length;
+            cues.push({ startMs: start, endMs: start + duration * share, lines: chunk });
+            start += duration * share;
+          }
+        }
+      }
+
+      cues.sort((a, b) => a.startMs - b.startMs);
+      cues.forEach((cue, i) => {
+        const next = cues[i + 1];
+        let end = Math.min(Math.max(cue.endMs, cue.startMs + minCueMs), cue.startMs + maxCueMs);
+        if (next) {
+          end = Math.min(end, next.startMs);
+        }
+        cue.startMs = Math.round(cue.startMs);
+        cue.endMs = Math.max(Math.round(end), cue.startMs);
+      });
+      return cues;
+    }
+
+    /**
+     * SubRip (.srt) captions
+     */
+    toSRT(sessions) {
+      return this.cues(sessions)
+        .map((cue, i) => [
+          i + 1,
+          `${timestamp(cue.startMs, ',')} --> ${timestamp(cue.endMs, ',')}`,
+          ...cue.lines
+        ].join('\n'))
+        .map((block) => `${block}\n`)
+        .join('\n');
+    }
+
+    /**
+     * WebVTT (.vtt) captions
+     */
+    toWebVTT(sessions) {
+      const blocks = this.cues(sessions).map((cue) => [
+        `${timestamp(cue.startMs, '.')} --> ${timestamp(cue.endMs, '.')}`,
+        ...cue.lines
+      ].join('\n'));
+      return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+    }
+
+    /**
+     * JSON record (see the README for the schema)
+     */
+    toJSON(sessions) {
+      const summaries = [].concat(sessions).map(toSummary);
+      const record = {
+        version: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        sessions: summaries.map((summary) => ({
+          id: summary.id,
+          startedAt: summary.startedAt,
+          endedAt: summary.endedAt,
+          durationMs: summary.durationMs,
+          startReason: summary.startReason,
+          endReason: summary.endReason,
+          wakePhrase: summary.wakePhrase ? summary.wakePhrase.phrase : null,
+          sleepPhrase: summary.sleepPhrase ? summary.sleepPhrase.phrase : null,
+          text: summary.text,
+          segments: summary.segments.map((segment) => ({
+            index: segment.index,
+            startMs: segment.startMs,
+            endMs: segment.endMs,
+            text: segment.transcript,
+            confidence: segment.confidence
+          }))
+        }))
+      };
+      return JSON.stringify(record, null, 2);
+    }
+
+    /**
+     * Plain text, one segment per line and a blank line between sessions
+     * With the `timestamps` option each line starts with its [HH:MM:SS] offset
+     */
+    toText(sessions) {
+      const text = [].concat(sessions).map(toSummary)
+        .map((summary) => summary.segments
+          .map((segment) => (this.options.timestamps
+            ? `[${clock(segment.startMs)}] ${segment.transcript}`
+            : segment.transcript))
+          .join('\n'))
+        .filter(Boolean)
+        .join('\n\n');
+      return text ? `${text}\n` : '';
+    }
+  }
+
+  TranscriptExporter.FORMATS = FORMATS;
+  TranscriptExporter.SCHEMA_VERSION = SCHEMA_VERSION;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranscriptExporter;
+  } else {
+    root.TranscriptExporter = TranscriptExporter;
+  }
+})(typeof window !== 'undefined' ? window : this);
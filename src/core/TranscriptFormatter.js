@@ -0,0 +1,442 @@
+/**
+ * Transcript Formatter
+ * Turns dictated text into written text: spoken punctuation ("comma", "new line")
+ * becomes symbols, sentences are capitalized and numbers, dates and times are
+ * normalized, using a per-language rules table
+ */
+
+(function (root) {
+  'use strict';
+
+  const NumberWords = typeof module !== 'undefined' && module.exports
+    ? require('./NumberWords.js')
+    : root.NumberWords;
+
+  const MAX_NUMBER_WORDS = 8;
+
+  /**
+   * Parse a number from the keys of a token span, null unless within [min, max]
+   */
+  function numberIn(keys, language, min, max) {
+    const value = NumberWords.parse(keys, language);
+    return value !== null && value >= min && value <= max ? value : null;
+  }
+
+  /**
+   * Find the longest span starting at `start` (up to `limit` words) accepted by `read`
+   * Returns { value, length } or null
+   */
+  function longest(keys, start, limit, read) {
+    for (let length = Math.min(limit, keys.length - start); length > 0; length--) {
+      const value = read(keys.slice(start, start + length));
+      if (value !== null && value !== undefined) {
+        return { value, length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Day of the month as an ordinal or cardinal number
+   */
+  function readDay(keys, start, language, ordinalOnly = false) {
+    return longest(keys, start, 3, (span) => {
+      const ordinal = NumberWords.parseOrdinal(span, language);
+      const value = ordinal !== null || ordinalOnly ? ordinal : NumberWords.parse(span, language);
+      return value !== null && value >= 1 && value <= 31 ? value : null;
+    });
+  }
+
+  /**
+   * Four-digit year ("two thousand twenty four", "nineteen ninety nine", "twenty oh five")
+   */
+  function readYear(keys, start, language) {
+    return longest(keys, start, 5, (span) => {
+      const whole = numberIn(span, language, 1000, 2999);
+      if (whole !== null) {
+        return whole;
+      }
+
+      // English style pairs: "twenty twenty four"
+      const century = numberIn(span.slice(0, 1), language, 10, 29);
+      if (century === null || span.length < 2) {
+        return null;
+      }
+      const rest = span[1] === 'oh'
+        ? numberIn(span.slice(2), language, 1, 9)
+        : numberIn(span.slice(1), language, 10, 99);
+      return rest !== null ? century * 100 + rest : null;
+    });
+  }
+
+  /**
+   * Two-digit minutes
+   */
+  function pad(value) {
+    return String(value).padStart(2, '0');
+  }
+
+  /**
+   * Uppercase the first letter of a word
+   */
+  function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  // Formatting rules per base language
+  // - punctuation:  spoken phrase -> symbol ('\n' new line, '\n\n' new paragraph)
+  // - openingMarks: marks that also open the sentence (Spanish "¿" and "¡")
+  // - properWords:  words always capitalized
+  // - minDigits:    smallest single-word number written in digits ("nine" stays a word)
+  // - date/time:    (keys, index) -> { text, length } or null
+  const RULES = {
+    en: {
+      punctuation: {
+        'comma': ',',
+        'period': '.',
+        'full stop': '.',
+        'question mark': '?',
+        'exclamation mark': '!',
+        'exclamation point': '!',
+        'colon': ':',
+        'semicolon': ';',
+        'new line': '\n',
+        'new paragraph': '\n\n'
+      },
+      openingMarks: {},
+      properWords: ['i', "i'm", "i'll", "i've", "i'd"],
+      minDigits: 10,
+      months: ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+        'august', 'september', 'october', 'november', 'december'],
+      date(keys, i) {
+        // "march fifth twenty twenty four" / "the fifth of march"
+        let month = this.months.indexOf(keys[i]);
+        let day = null;
+        let length = 0;
+
+        if (month >= 0) {
+          // Spoken days are ordinals ("may first"), so "may one day" stays as it is
+          day = readDay(keys, i + 1, 'en', true) ||
+            (/^\d+$/.test(keys[i + 1] || '') ? readDay(keys, i + 1, 'en') : null);
+          if (!day) return null;
+          length = 1 + day.length;
+        } else if (keys[i] === 'the') {
+          day = readDay(keys, i + 1, 'en', true);
+          if (!day || keys[i + 1 + day.length] !== 'of') return null;
+          month = this.months.indexOf(keys[i + 2 + day.length]);
+          if (month < 0) return null;
+          length = 3 + day.length;
+        } else {
+          return null;
+        }
+
+        const year = readYear(keys, i + length, 'en');
+        const text = `${capitalize(this.months[month])} ${day.value}`;
+        return year
+          ? { text: `${text}, ${year.value}`, length: length + year.length }
+          : { text, length };
+      },
+      time(keys, i) {
+        const hour = longest(keys, i, 1, (span) => numberIn(span, 'en', 1, 12));
+        if (!hour) return null;
+
+        const meridiem = (at) => {
+          if (['am', 'a.m', 'pm', 'p.m'].includes(keys[at])) {
+            return { text: keys[at][0] === 'a' ? 'AM' : 'PM', length: 1 };
+          }
+          if ((keys[at] === 'a' || keys[at] === 'p') && keys[at + 1] === 'm') {
+            return { text: keys[at] === 'a' ? 'AM' : 'PM', length: 2 };
+          }
+          return null;
+        };
+
+        if (keys[i + 1] === "o'clock") {
+          return { text: `${hour.value}:00`, length: 2 };
+        }
+        const direct = meridiem(i + 1);
+        if (direct) {
+          return { text: `${hour.value} ${direct.text}`, length: 1 + direct.length };
+        }
+
+        // "three thirty pm", "seven oh five am"
+        const minutes = keys[i + 1] === 'oh'
+          ? longest(keys, i + 2, 1, (span) => numberIn(span, 'en', 1, 9))
+          : longest(keys, i + 1, 2, (span) => numberIn(span, 'en', 10, 59));
+        if (!minutes) return null;
+        const minutesLength = minutes.length + (keys[i + 1] === 'oh' ? 1 : 0);
+        const after = meridiem(i + 1 + minutesLength);
+        if (!after) return null;
+        return {
+          text: `${hour.value}:${pad(minutes.value)} ${after.text}`,
+          length: 1 + minutesLength + after.length
+        };
+      }
+    },
+    es: {
+      punctuation: {
+        'coma': ',',
+        'punto': '.',
+        'punto y seguido': '.',
+        'punto y aparte': '\n\n',
+        'signo de interrogación': '?',
+        'signo de exclamación': '!',
+        'dos puntos': ':',
+        'punto y coma': ';',
+        'nueva línea': '\n',
+        'nuevo párrafo': '\n\n'
+      },
+      openingMarks: { '?': '¿', '!': '¡' },
+      properWords: [],
+      minDigits: 10,
+      months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+        'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+      date(keys, i) {
+        // "cinco de marzo de dos mil veinticuatro"
+        const day = readDay(keys, i, 'es');
+        if (!day || keys[i + day.length] !== 'de') return null;
+        const month = this.months.indexOf(keys[i + day.length + 1]);
+        if (month < 0) return null;
+
+        const length = day.length + 2;
+        const text = `${day.value} de ${this.months[month]}`;
+        const year = keys[i + length] === 'de' ? readYear(keys, i + length + 1, 'es') : null;
+        return year
+          ? { text: `${text} de ${year.value}`, length: length + 1 + year.length }
+          : { text, length };
+      },
+      time(keys, i) {
+        // "tres y media", "diez en punto", "las cuatro y veinte"
+        const hour = longest(keys, i, 1, (span) => numberIn(span, 'es', 1, 24));
+        if (!hour) return null;
+
+        if (keys[i + 1] === 'en' && keys[i + 2] === 'punto') {
+          return { text: `${hour.value}:00`, length: 3 };
+        }
+        if (keys[i + 1] === 'y' && keys[i + 2] === 'media') {
+          return { text: `${hour.value}:30`, length: 3 };
+        }
+        if (keys[i + 1] === 'y' && keys[i + 2] === 'cuarto') {
+          return { text: `${hour.value}:15`, length: 3 };
+        }
+        if (keys[i + 1] === 'menos' && keys[i + 2] === 'cuarto') {
+          return { text: `${hour.value === 1 ? 12 : hour.value - 1}:45`, length: 3 };
+        }
+        // Minutes need the article to tell times from sums ("tres y cuatro")
+        if ((keys[i - 1] === 'las' || keys[i - 1] === 'la') && keys[i + 1] === 'y') {
+          const minutes = longest(keys, i + 2, 3, (span) => numberIn(span, 'es', 1, 59));
+          if (minutes) {
+            return { text: `${hour.value}:${pad(minutes.value)}`, length: 2 + minutes.length };
+          }
+        }
+        return null;
+      }
+    },
+    de: {
+      punctuation: {
+        'komma': ',',
+        'punkt': '.',
+        'fragezeichen': '?',
+        'ausrufezeichen': '!',
+        'doppelpunkt': ':',
+        'semikolon': ';',
+        'neue zeile': '\n',
+        'neuer absatz': '\n\n'
+      },
+      openingMarks: {},
+      properWords: [],
+      minDigits: 13,
+      months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli',
+        'august', 'september', 'oktober', 'november', 'dezember'],
+      date(keys, i) {
+        // "dritter märz zweitausendvierundzwanzig"
+        const day = readDay(keys, i, 'de', true);
+        if (!day) return null;
+        const month = this.months.indexOf(keys[i + day.length]);
+        if (month < 0) return null;
+
+        const length = day.length + 1;
+        const text = `${day.value}. ${capitalize(this.months[month])}`;
+        const year = readYear(keys, i + length, 'de');
+        return year
+          ? { text: `${text} ${year.value}`, length: length + year.length }
+          : { text, length };
+      },
+      time(keys, i) {
+        // "fünfzehn uhr dreißig", "acht uhr", "halb vier"
+        if (keys[i] === 'halb') {
+          const next = longest(keys, i + 1, 1, (span) => numberIn(span, 'de', 1, 24));
+          return next
+            ? { text: `${next.value === 1 ? 12 : next.value - 1}:30`, length: 2 }
+            : null;
+        }
+
+        const hour = longest(keys, i, 1, (span) => numberIn(span, 'de', 0, 24));
+        if (!hour || keys[i + 1] !== 'uhr') return null;
+        const minutes = longest(keys, i + 2, 1, (span) => numberIn(span, 'de', 1, 59));
+        return minutes
+          ? { text: `${hour.value}:${pad(minutes.value)} Uhr`, length: 3 }
+          : { text: `${hour.value} Uhr`, length: 2 };
+      }
+    }
+  };
+
+  /**
+   * Rules for a language tag ('en-US', 'es-ES', 'de'), falling back to English
+   */
+  function rulesFor(language = 'en', custom = {}) {
+    const base = String(language).toLowerCase().split(/[-_]/)[0];
+    return custom[language] || custom[base] || RULES[base] || RULES.en;
+  }
+
+  /**
+   * Lowercase matching key of a raw token, without surrounding punctuation
+   */
+  function toKey(raw) {
+    return raw.toLowerCase().replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, '');
+  }
+
+  class TranscriptFormatter {
+    constructor(options = {}) {
+      this.options = {
+        language: 'en-US',
+        punctuation: true,
+        capitalize: true,
+        numbers: true,
+        dates: true,
+        times: true,
+        rules: {},
+        ...options
+      };
+      this.rules = rulesFor(this.options.language, this.options.rules);
+      this.language = String(this.options.language).toLowerCase().split(/[-_]/)[0];
+
+      // Longest spoken punctuation first so "punto y coma" wins over "punto"
+      this.punctuation = Object.keys(this.rules.punctuation)
+        .map((phrase) => ({ words: phrase.split(' '), symbol: this.rules.punctuation[phrase] }))
+        .sort((a, b) => b.words.length - a.words.length);
+    }
+
+    /**
+     * Format one transcript
+     */
+    format(text) {
+      const raw = String(text).trim().split(/\s+/).filter(Boolean);
+      const keys = raw.map(toKey);
+      const items = [];
+      let i = 0;
+
+      // Replace a span of tokens, keeping punctuation the recognizer put after it
+      const replace = (length, value) => {
+        const trailing = /[.,;:!?]+$/.exec(raw[i + length - 1]);
+        items.push({ type: 'word', text: value + (trailing ? trailing[0] : '') });
+        i += length;
+      };
+
+      while (i < raw.length) {
+        const spoken = this.options.punctuation ? this.matchPunctuation(keys, i) : null;
+        if (spoken) {
+          items.push({ type: 'punctuation', text: spoken.symbol });
+          i += spoken.words.length;
+          continue;
+        }
+
+        const date = this.options.dates && this.rules.date ? this.rules.date(keys, i) : null;
+        if (date) {
+          replace(date.length, date.text);
+          continue;
+        }
+
+        const time = this.options.times && this.rules.time ? this.rules.time(keys, i) : null;
+        if (time) {
+          replace(time.length, time.text);
+          continue;
+        }
+
+        const number = this.options.numbers ? this.matchNumber(keys, i) : null;
+        if (number) {
+          replace(number.length, String(number.value));
+          continue;
+        }
+
+        items.push({ type: 'word', text: raw[i] });
+        i++;
+      }
+
+      const joined = this.join(items);
+      return this.options.capitalize ? this.capitalize(joined) : joined;
+    }
+
+    /**
+     * Spoken punctuation starting at a token
+     */
+    matchPunctuation(keys, i) {
+      return this.punctuation.find((entry) =>
+        entry.words.every((word, offset) => keys[i + offset] === word)) || null;
+    }
+
+    /**
+     * Longest spoken number starting at a token, if it should be written in digits
+     */
+    matchNumber(keys, i) {
+      if (/^\d+$/.test(keys[i])) {
+        return null;
+      }
+
+      const number = longest(keys, i, MAX_NUMBER_WORDS, (span) => NumberWords.parse(span, this.language));
+      if (!number || (number.length === 1 && number.value < this.rules.minDigits)) {
+        return null;
+      }
+      return number;
+    }
+
+    /**
+     * Join words and punctuation with the right spacing
+     */
+    join(items) {
+      let text = '';
+      let sentenceStart = 0;
+
+      for (const item of items) {
+        if (item.type === 'word') {
+          text += text && !text.endsWith('\n') ? ` ${item.text}` : item.text;
+          continue;
+        }
+
+        text = text.replace(/ +$/, '');
+        const opening = this.rules.openingMarks[item.text];
+        if (opening) {
+          const start = text.slice(sentenceStart).search(/\S/);
+          if (start >= 0) {
+            text = text.slice(0, sentenceStart + start) + opening + text.slice(sentenceStart + start);
+          }
+        }
+        text += item.text;
+        if (/[.?!\n]/.test(item.text)) {
+          sentenceStart = text.length;
+        }
+      }
+
+      return text.trim();
+    }
+
+    /**
+     * Capitalize sentence starts and words that are always capitalized
+     */
+    capitalize(text) {
+      const proper = this.rules.properWords;
+      return text
+        .replace(/(^|[.?!]\s+|\n\s*)([¿¡]?)(\p{Ll})/gu, (match, before, mark, letter) =>
+          before + mark + letter.toUpperCase())
+        .replace(/[\p{L}']+/gu, (word) => (proper.includes(word) ? capitalize(word) : word));
+    }
+  }
+
+  TranscriptFormatter.RULES = RULES;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranscriptFormatter;
+  } else {
+    root.TranscriptFormatter = TranscriptFormatter;
+  }
+})(typeof window !== 'undefined' ? window : this);
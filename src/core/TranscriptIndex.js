@@ -0,0 +1,330 @@
+/**
+ * Transcript Index
+ * In-memory full-text index over session summaries, with phrase queries,
+ * date and wake-phrase filters and highlighted snippets
+ */
+
+(function (root) {
+  'use strict';
+
+  // Words, keeping inner apostrophes ("don't") together
+  const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+  /**
+   * Index form of a word: lowercase, without accents or apostrophes
+   */
+  function normalizeToken(word) {
+    return word
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .replace(/['’]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Split text into tokens with their character offsets
+   */
+  function tokenize(text) {
+    const tokens = [];
+    for (const found of String(text).matchAll(WORD_PATTERN)) {
+      tokens.push({
+        term: normalizeToken(found[0]),
+        start: found.index,
+        end: found.index + found[0].length
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse a query into single terms and "quoted phrases" (as term lists)
+   * A quoted single word is a plain term
+   */
+  function parseQuery(query) {
+    const terms = [];
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"?/g, (quoted, phrase) => {
+      const words = tokenize(phrase).map((token) => token.term);
+      if (words.length > 1) {
+        phrases.push(words);
+      } else {
+        terms.push(...words);
+      }
+      return ' ';
+    });
+    terms.push(...tokenize(rest).map((token) => token.term));
+    return { terms: Array.from(new Set(terms)), phrases };
+  }
+
+  /**
+   * Timestamp of a date filter (Date, timestamp or ISO string)
+   */
+  function toTime(value, fallback) {
+    return value !== undefined && value !== null ? new Date(value).getTime() : fallback;
+  }
+
+  /**
+   * Merge overlapping or touching ranges
+   */
+  function mergeRanges(ranges) {
+    const merged = [];
+    ranges
+      .slice()
+      .sort((a, b) => a.start - b.start)
+      .forEach((range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+          last.end = Math.max(last.end, range.end);
+        } else {
+          merged.push({ ...range });
+        }
+      });
+    return merged;
+  }
+
+  class TranscriptIndex {
+    constructor(options = {}) {
+      this.options = {
+        snippetLength: 120,
+        ...options
+      };
+      this.sessions = new Map();
+      // term -> Map(sessionId -> occurrences)
+      this.postings = new Map();
+    }
+
+    /**
+     * Number of indexed sessions
+     */
+    get size() {
+      return this.sessions.size;
+    }
+
+    /**
+     * Whether a session is indexed
+     */
+    has(id) {
+      return this.sessions.has(id);
+    }
+
+    /**
+     * Index a session summary, replacing an earlier version of it
+     */
+    add(summary) {
+      this.remove(summary.id);
+
+      const segments = summary.segments.map((segment) => ({
+        segment: segment,
+        tokens: tokenize(segment.transcript)
+      }));
+      const counts = new Map();
+      segments.forEach(({ tokens }) => tokens.forEach(({ term }) => {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }));
+      counts.forEach((count, term) => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        this.postings.get(term).set(summary.id, count);
+      });
+
+      this.sessions.set(summary.id, { summary, segments, terms: Array.from(counts.keys()) });
+      return this;
+    }
+
+    /**
+     * Remove a session from the index; returns true if it was indexed
+     */
+    remove(id) {
+      const entry = this.sessions.get(id);
+      if (!entry) {
+        return false;
+      }
+
+      entry.terms.forEach((term) => {
+        const sessions = this.postings.get(term);
+        sessions.delete(id);
+        if (!sessions.size) {
+          this.postings.delete(term);
+        }
+      });
+      this.sessions.delete(id);
+      return true;
+    }
+
+    /**
+     * Remove every session
+     */
+    clear() {
+      this.sessions.clear();
+      this.postings.clear();
+    }
+
+    /**
+     * Search the indexed sessions
+     * `query` holds words and "quoted phrases"; a session matches when it contains
+     * all of them (phrases within one segment). Options:
+     * - since/until: start time range (Date, timestamp or ISO string)
+     * - tags:        wake phrase tags, any of which must match
+     * - wakePhrases: wake phrases, any of which must match
+     * - limit:       maximum number of results
+     * - snippetLength: snippet size, overriding the index option
+     * Results are { session, score, matches } with the best match first; an empty
+     * query lists the sessions passing the filters, newest first
+     */
+    search(query, options = {}) {
+      const { terms, phrases } = parseQuery(query);
+      const words = Array.from(new Set(terms.concat(...phrases)));
+
+      let candidates = Array.from(this.sessions.keys());
+      for (const word of words) {
+        const sessions = this.postings.get(word);
+        candidates = sessions ? candidates.filter((id) => sessions.has(id)) : [];
+      }
+
+      const snippetLength = options.snippetLength || this.options.snippetLength;
+      const results = [];
+      for (const id of candidates) {
+        const entry = this.sessions.get(id);
+        if (!this.passesFilters(entry.summary, options)) {
+          continue;
+        }
+
+        const matches = this.findMatches(entry, terms, phrases, snippetLength);
+        if (phrases.length && !phrases.every((phrase, i) => matches.phraseFound[i])) {
+          continue;
+        }
+        results.push({
+          session: entry.summary,
+          score: this.score(id, words),
+          matches: matches.segments
+        });
+      }
+
+      results.sort((a, b) => b.score - a.score ||
+        Date.parse(b.session.startedAt) - Date.parse(a.session.startedAt));
+      return options.limit !== undefined ? results.slice(0, options.limit) : results;
+    }
+
+    /**
+     * Whether a session passes the date and wake phrase filters
+     */
+    passesFilters(summary, options) {
+      const started = Date.parse(summary.startedAt);
+      if (started < toTime(options.since, -Infinity) || started > toTime(options.until, Infinity)) {
+        return false;
+      }
+
+      const wake = summary.wakePhrase;
+      if (options.tags && options.tags.length && !(wake && options.tags.includes(wake.tag))) {
+        return false;
+      }
+      if (options.wakePhrases && options.wakePhrases.length) {
+        const phrases = options.wakePhrases.map((phrase) => phrase.trim().toLowerCase());
+        if (!(wake && phrases.includes(String(wake.phrase).toLowerCase()))) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    /**
+     * Term frequency weighted by how rare each word is across sessions
+     */
+    score(id, words) {
+      return words.reduce((sum, word) => {
+        const sessions = this.postings.get(word);
+        return sum + sessions.get(id) * Math.log(1 + this.sessions.size / sessions.size);
+      }, 0);
+    }
+
+    /**
+     * Segments of a session containing query terms or phrases, with their offsets
+     */
+    findMatches(entry, terms, phrases, snippetLength) {
+      const phraseFound = phrases.map(() => false);
+      const segments = [];
+
+      for (const { segment, tokens } of entry.segments) {
+        const ranges = tokens
+          .filter((token) => terms.includes(token.term))
+          .map((token) => ({ start: token.start, end: token.end }));
+
+        phrases.forEach((phrase, p) => {
+          for (let i = 0; i + phrase.length <= tokens.length; i++) {
+            if (phrase.every((word, j) => tokens[i + j].term === word)) {
+              phraseFound[p] = true;
+              ranges.push({ start: tokens[i].start, end: tokens[i + phrase.length - 1].end });
+            }
+          }
+        });
+
+        if (ranges.length) {
+          const offsets = mergeRanges(ranges);
+          segments.push({
+            segmentIndex: segment.index,
+            startMs: segment.startMs,
+            endMs: segment.endMs,
+            text: segment.transcript,
+            offsets: offsets,
+            ...this.snippet(segment.transcript, offsets, snippetLength)
+          });
+        }
+      }
+      return { segments, phraseFound };
+    }
+
+    /**
+     * Excerpt of a segment around its first match, at most `length` characters
+     * plus ellipses, with highlight ranges relative to the excerpt
+     */
+    snippet(text, offsets, length = this.options.snippetLength) {
+      if (text.length <= length) {
+        return { snippet: text, highlights: offsets.map((range) => ({ ...range })) };
+      }
+
+      // Start a little before the first match, at a word boundary
+      let start = Math.max(0, Math.min(offsets[0].start - Math.floor(length / 4), text.length - length));
+      if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < offsets[0].start ? space + 1 : start;
+      }
+      let end = Math.min(text.length, start + length);
+      if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > start ? space : end;
+      }
+
+      const prefix = start > 0 ? '…' : '';
+      const suffix = end < text.length ? '…' : '';
+      const highlights = offsets
+        .filter((range) => range.start >= start && range.end <= end)
+        .map((range) => ({ start: range.start - start + prefix.length, end: range.end - start + prefix.length }));
+      return { snippet: prefix + text.slice(start, end) + suffix, highlights };
+    }
+
+    /**
+     * Wrap the highlighted ranges of a match's snippet in markers
+     */
+    static highlight(match, open = '[', close = ']') {
+      let output = '';
+      let position = 0;
+      for (const range of match.highlights) {
+        output += match.snippet.slice(position, range.start) + open +
+          match.snippet.slice(range.start, range.end) + close;
+        position = range.end;
+      }
+      return output + match.snippet.slice(position);
+    }
+  }
+
+  TranscriptIndex.tokenize = tokenize;
+  TranscriptIndex.parseQuery = parseQuery;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranscriptIndex;
+  } else {
+    root.TranscriptIndex = TranscriptIndex;
+  }
+})(typeof window !== 'undefined' ? window : this);
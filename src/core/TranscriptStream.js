@@ -0,0 +1,361 @@
+/**
+ * Transcript Stream
+ * Streams engine events to a backend over WebSocket, buffering while offline
+ * and delivering every event once, in order (see the README for the protocol)
+ */
+
+(function (root) {
+  'use strict';
+
+  const EventEmitter = typeof module !== 'undefined' && module.exports
+    ? require('./EventEmitter.js')
+    : root.EventEmitter;
+  const RestartPolicy = typeof module !== 'undefined' && module.exports
+    ? require('./RestartPolicy.js')
+    : root.RestartPolicy;
+
+  // Version of the JSON message protocol
+  const PROTOCOL_VERSION = 1;
+
+  // Engine events streamed by default
+  const DEFAULT_EVENTS = [
+    'wakeWordDetected',
+    'sleepWordDetected',
+    'transcript',
+    'transcriptionStart',
+    'transcriptionEnd',
+    'sessionEnd'
+  ];
+
+  // WebSocket.OPEN
+  const OPEN = 1;
+
+  /**
+   * Generate a client ID identifying this stream to the server across reconnects
+   */
+  function createClientId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Payload and session ID of an engine event
+   */
+  function describeEvent(event, args) {
+    switch (event) {
+      case 'wakeWordDetected':
+      case 'sleepWordDetected': {
+        const [phrase, detection] = args;
+        return { sessionId: null, data: { phrase: phrase, detection: detection || null } };
+      }
+      case 'sessionEnd':
+        return { sessionId: args[0].id, data: args[0] };
+      default:
+        return { sessionId: args[0] && args[0].sessionId !== undefined ? args[0].sessionId : null, data: args[0] };
+    }
+  }
+
+  class TranscriptStream extends EventEmitter {
+    constructor(url, options = {}) {
+      super();
+      this.url = url;
+      this.options = {
+        events: DEFAULT_EVENTS,
+        interimResults: true,
+        maxBufferSize: 1000,
+        clientId: createClientId(),
+        metadata: {},
+        reconnect: {},
+        WebSocket: root.WebSocket,
+        ...options
+      };
+      if (typeof this.options.WebSocket !== 'function') {
+        throw new Error('WebSocket is not available; pass a WebSocket implementation in the WebSocket option');
+      }
+
+      this.clientId = this.options.clientId;
+      this.reconnectPolicy = new RestartPolicy({
+        baseDelayMs: 500,
+        factor: 2,
+        maxDelayMs: 30000,
+        maxRetries: Infinity,
+        ...this.options.reconnect
+      });
+      this.socket = null;
+      this.state = 'idle';
+      this.ready = false;
+      this.closing = false;
+      this.seq = 0;
+      // Messages not yet acknowledged by the server, in sequence order
+      this.buffer = [];
+      // Messages this stream has written to a server, which `lastSeq` may cover
+      this.written = new WeakSet();
+      this.dropped = 0;
+      this.reconnectAttempts = 0;
+      this.reconnectTimer = null;
+      this.engine = null;
+      this.handlers = {};
+    }
+
+    /**
+     * Number of messages waiting for the server's acknowledgement
+     */
+    get buffered() {
+      return this.buffer.length;
+    }
+
+    /**
+     * Stream an engine's events and connect
+     */
+    attach(engine) {
+      if (this.engine) {
+        this.detach();
+      }
+
+      this.engine = engine;
+      this.options.events.forEach((event) => {
+        this.handlers[event] = (...args) => {
+          if (event === 'transcript' && !this.options.interimResults && !args[0].isFinal) {
+            return;
+          }
+          const { sessionId, data } = describeEvent(event, args);
+          this.send(event, data, sessionId);
+        };
+        engine.on(event, this.handlers[event]);
+      });
+      this.handlers.destroy = () => {
+        this.detach();
+        this.end();
+      };
+      engine.on('destroy', this.handlers.destroy);
+
+      this.connect();
+      return this;
+    }
+
+    /**
+     * Stop streaming the attached engine's events; buffered messages are still sent
+     */
+    detach() {
+      if (this.engine) {
+        Object.keys(this.handlers).forEach((event) => this.engine.off(event, this.handlers[event]));
+        this.engine = null;
+        this.handlers = {};
+      }
+      return this;
+    }
+
+    /**
+     * Queue a message; it is sent right away while connected
+     */
+    send(event, data, sessionId = null) {
+      const message = {
+        type: 'event',
+        seq: ++this.seq,
+        event: event,
+        sessionId: sessionId,
+        timestamp: new Date().toISOString(),
+        data: data
+      };
+
+      this.buffer.push(message);
+      if (this.buffer.length > this.options.maxBufferSize) {
+        // The server sees the gap in sequence numbers
+        const overflow = this.buffer.splice(0, this.buffer.length - this.options.maxBufferSize);
+        this.dropped += overflow.length;
+        this.emit('overflow', { dropped: overflow.length, total: this.dropped });
+      }
+      if (this.ready) {
+        this.write(message);
+      }
+      return message.seq;
+    }
+
+    /**
+     * Open the connection (done by attach); reconnects automatically until close()
+     */
+    connect() {
+      if (this.socket || this.reconnectTimer) {
+        return this;
+      }
+
+      this.closing = false;
+      this.state = 'connecting';
+      let socket;
+      try {
+        socket = new this.options.WebSocket(this.url);
+      } catch (error) {
+        this.emit('error', error);
+        this.scheduleReconnect();
+        return this;
+      }
+
+      this.socket = socket;
+      socket.onopen = () => {
+        this.write({
+          type: 'hello',
+          protocol: PROTOCOL_VERSION,
+          clientId: this.clientId,
+          metadata: this.options.metadata
+        });
+      };
+      socket.onmessage = (event) => this.handleMessage(event.data);
+      socket.onerror = (event) => {
+        this.emit('error', event && event.error ? event.error : new Error('WebSocket error'));
+      };
+      socket.onclose = (event) => {
+        if (this.socket !== socket) {
+          return;
+        }
+        this.socket = null;
+        this.ready = false;
+        const willReconnect = !this.closing && this.scheduleReconnect();
+        if (!willReconnect) {
+          this.state = 'closed';
+        }
+        this.emit('close', {
+          code: event ? event.code : null,
+          reason: event ? event.reason : '',
+          willReconnect: willReconnect
+        });
+      };
+      return this;
+    }
+
+    /**
+     * Handle a server message
+     */
+    handleMessage(raw) {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        this.emit('error', new Error(`Invalid message from server: ${raw}`));
+        return;
+      }
+
+      if (message.type === 'welcome') {
+        if (message.protocol !== PROTOCOL_VERSION) {
+          this.emit('error', new Error(`Unsupported protocol version ${message.protocol}`));
+          this.close();
+          return;
+        }
+        const lastSeq = message.lastSeq || 0;
+        // The server has what this stream wrote up to lastSeq; anything never written
+        // is new to it, even when an earlier stream with this client ID used its numbers
+        const pending = this.buffer.length;
+        this.buffer = this.buffer.filter((queued) => !(this.written.has(queued) && queued.seq <= lastSeq));
+        let next = lastSeq;
+        this.buffer.forEach((queued) => {
+          if (!this.written.has(queued) && queued.seq <= next) {
+            queued.seq = ++next;
+          } else {
+            next = queued.seq;
+          }
+        });
+        this.seq = Math.max(this.seq, next);
+        if (pending && !this.buffer.length) {
+          this.emit('drain');
+        }
+        this.ready = true;
+        this.state = 'open';
+        this.reconnectAttempts = 0;
+        this.buffer.forEach((buffered) => this.write(buffered));
+        this.emit('open', { clientId: this.clientId, resent: this.buffer.length });
+      } else if (message.type === 'ack') {
+        this.acknowledge(message.seq);
+      } else if (message.type === 'error') {
+        this.emit('error', new Error(`Server error: ${message.message}`));
+      }
+    }
+
+    /**
+     * Drop buffered messages up to and including a sequence number
+     */
+    acknowledge(seq) {
+      const index = this.buffer.findIndex((message) => message.seq > seq);
+      const acknowledged = this.buffer.splice(0, index === -1 ? this.buffer.length : index);
+      if (acknowledged.length && !this.buffer.length) {
+        this.emit('drain');
+        if (this.closing && this.socket) {
+          // end() was waiting for this
+          this.close();
+        }
+      }
+    }
+
+    /**
+     * Send a message over the open socket
+     */
+    write(message) {
+      if (this.socket && this.socket.readyState === OPEN) {
+        this.socket.send(JSON.stringify(message));
+        this.written.add(message);
+      }
+    }
+
+    /**
+     * Retry the connection through the backoff policy; returns whether a retry is scheduled
+     */
+    scheduleReconnect() {
+      const decision = this.reconnectPolicy.next('network', this.reconnectAttempts);
+      this.reconnectAttempts = decision.attempts;
+      if (!decision.restart) {
+        this.state = 'closed';
+        return false;
+      }
+
+      this.state = 'connecting';
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connect();
+      }, decision.delay);
+      return true;
+    }
+
+    /**
+     * Close once the server has acknowledged every buffered message (done when the
+     * attached engine is destroyed); closes right away when nothing is buffered or
+     * the stream is offline, and never reconnects
+     */
+    end() {
+      if (!this.ready || !this.buffer.length) {
+        return this.close();
+      }
+
+      this.closing = true;
+      return this;
+    }
+
+    /**
+     * Close the connection and stop reconnecting; unacknowledged messages stay
+     * buffered and are sent on the next connect()
+     */
+    close() {
+      this.closing = true;
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.ready = false;
+      this.state = 'closed';
+
+      const socket = this.socket;
+      this.socket = null;
+      if (socket) {
+        socket.onopen = null;
+        socket.onmessage = null;
+        socket.close(1000, 'client closed');
+        this.emit('close', { code: 1000, reason: 'client closed', willReconnect: false });
+      }
+      return this;
+    }
+  }
+
+  TranscriptStream.PROTOCOL_VERSION = PROTOCOL_VERSION;
+  TranscriptStream.EVENTS = DEFAULT_EVENTS;
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranscriptStream;
+  } else {
+    root.TranscriptStream = TranscriptStream;
+  }
+})(typeof window !== 'undefined' ? window : this);
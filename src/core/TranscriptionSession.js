@@ -0,0 +1,121 @@
+/**
+ * Transcription Session
+ * Collects the final transcript segments of one transcription cycle
+ */
+
+(function (root) {
+  'use strict';
+
+  let sequence = 0;
+
+  /**
+   * Generate a reasonably unique session ID
+   */
+  function createSessionId() {
+    sequence = (sequence + 1) % 1296;
+    return [
+      Date.now().toString(36),
+      sequence.toString(36).padStart(2, '0'),
+      Math.random().toString(36).slice(2, 8)
+    ].join('-');
+  }
+
+  /**
+   * Strip a phrase detection down to its serializable bindings
+   */
+  function describeTrigger(detection) {
+    if (!detection) {
+      return null;
+    }
+
+    return {
+      phrase: detection.phrase,
+      matched: detection.matched,
+      action: detection.action,
+      tag: detection.tag
+    };
+  }
+
+  class TranscriptionSession {
+    constructor(options = {}) {
+      this.id = options.id || createSessionId();
+      this.startTime = options.startTime || Date.now();
+      this.endTime = null;
+      this.endReason = null;
+      this.startReason = options.startReason || null;
+      this.wakePhrase = describeTrigger(options.wakePhrase);
+      this.sleepPhrase = null;
+      this.segments = [];
+    }
+
+    /**
+     * Whether the session has been closed
+     */
+    get isEnded() {
+      return this.endTime !== null;
+    }
+
+    /**
+     * Fully assembled session text
+     */
+    get text() {
+      return this.segments.map((segment) => segment.transcript).join(' ');
+    }
+
+    /**
+     * Append a final transcript segment
+     */
+    addSegment({ transcript, confidence = null, startTime, endTime = Date.now() }) {
+      const start = Math.max(startTime || endTime, this.startTime);
+      const segment = {
+        index: this.segments.length,
+        transcript: transcript,
+        confidence: confidence,
+        startMs: start - this.startTime,
+        endMs: Math.max(endTime, start) - this.startTime,
+        timestamp: new Date(endTime).toISOString()
+      };
+
+      this.segments.push(segment);
+      return segment;
+    }
+
+    /**
+     * Close the session
+     */
+    end(reason, sleepPhrase = null, endTime = Date.now()) {
+      if (this.isEnded) {
+        return;
+      }
+
+      this.endTime = endTime;
+      this.endReason = reason;
+      this.sleepPhrase = describeTrigger(sleepPhrase);
+    }
+
+    /**
+     * Plain snapshot of the session
+     */
+    toJSON() {
+      return {
+        id: this.id,
+        startedAt: new Date(this.startTime).toISOString(),
+        endedAt: this.isEnded ? new Date(this.endTime).toISOString() : null,
+        durationMs: (this.isEnded ? this.endTime : Date.now()) - this.startTime,
+        startReason: this.startReason,
+        endReason: this.endReason,
+        wakePhrase: this.wakePhrase,
+        sleepPhrase: this.sleepPhrase,
+        segments: this.segments.map((segment) => ({ ...segment })),
+        text: this.text
+      };
+    }
+  }
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranscriptionSession;
+  } else {
+    root.TranscriptionSession = TranscriptionSession;
+  }
+})(typeof window !== 'undefined' ? window : this);
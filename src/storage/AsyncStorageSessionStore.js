@@ -0,0 +1,61 @@
+/**
+ * AsyncStorage Session Store
+ * Keeps session summaries in React Native AsyncStorage
+ * (@react-native-async-storage/async-storage), one key per session
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+class AsyncStorageSessionStore {
+  constructor(options = {}) {
+    this.options = {
+      prefix: 'speech-to-text:session:',
+      storage: AsyncStorage,
+      ...options
+    };
+    this.storage = this.options.storage;
+  }
+
+  key(id) {
+    return this.options.prefix + id;
+  }
+
+  /**
+   * Keys of the stored sessions
+   */
+  async keys() {
+    const keys = await this.storage.getAllKeys();
+    return keys.filter((key) => key.startsWith(this.options.prefix));
+  }
+
+  async put(summary) {
+    await this.storage.setItem(this.key(summary.id), JSON.stringify(summary));
+  }
+
+  async get(id) {
+    const value = await this.storage.getItem(this.key(id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async delete(id) {
+    const key = this.key(id);
+    if ((await this.storage.getItem(key)) === null) {
+      return false;
+    }
+    await this.storage.removeItem(key);
+    return true;
+  }
+
+  async list() {
+    const entries = await this.storage.multiGet(await this.keys());
+    return entries
+      .filter(([, value]) => value)
+      .map(([, value]) => JSON.parse(value));
+  }
+
+  async clear() {
+    await this.storage.multiRemove(await this.keys());
+  }
+}
+
+export default AsyncStorageSessionStore;
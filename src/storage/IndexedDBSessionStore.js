@@ -0,0 +1,106 @@
+/**
+ * IndexedDB Session Store
+ * Keeps session summaries in an IndexedDB object store keyed by session id;
+ * suited to long histories that outgrow localStorage
+ */
+
+(function (root) {
+  'use strict';
+
+  const DB_VERSION = 1;
+
+  /**
+   * Promise for the result of an IDBRequest
+   */
+  function settle(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  class IndexedDBSessionStore {
+    constructor(options = {}) {
+      this.options = {
+        databaseName: 'speech-to-text',
+        storeName: 'sessions',
+        indexedDB: root.indexedDB,
+        ...options
+      };
+      if (!this.options.indexedDB) {
+        throw new Error('IndexedDB is not available');
+      }
+      this.database = null;
+    }
+
+    /**
+     * Open the database once, creating the object store on first use
+     */
+    open() {
+      if (!this.database) {
+        const request = this.options.indexedDB.open(this.options.databaseName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.options.storeName)) {
+            db.createObjectStore(this.options.storeName, { keyPath: 'id' });
+          }
+        };
+        this.database = settle(request);
+        // Let a later call retry after a failed open
+        this.database.catch(() => {
+          this.database = null;
+        });
+      }
+      return this.database;
+    }
+
+    /**
+     * Run a request against the object store in its own transaction
+     */
+    async request(mode, operation) {
+      const db = await this.open();
+      const store = db.transaction(this.options.storeName, mode).objectStore(this.options.storeName);
+      return settle(operation(store));
+    }
+
+    async put(summary) {
+      await this.request('readwrite', (store) => store.put(summary));
+    }
+
+    async get(id) {
+      return (await this.request('readonly', (store) => store.get(id))) || null;
+    }
+
+    async delete(id) {
+      const existing = await this.request('readonly', (store) => store.count(id));
+      await this.request('readwrite', (store) => store.delete(id));
+      return existing > 0;
+    }
+
+    async list() {
+      return this.request('readonly', (store) => store.getAll());
+    }
+
+    async clear() {
+      await this.request('readwrite', (store) => store.clear());
+    }
+
+    /**
+     * Close the database connection
+     */
+    async close() {
+      if (this.database) {
+        const db = await this.database;
+        this.database = null;
+        db.close();
+      }
+    }
+  }
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBSessionStore;
+  } else {
+    root.IndexedDBSessionStore = IndexedDBSessionStore;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,76 @@
+/**
+ * localStorage Session Store
+ * Keeps session summaries in the browser's localStorage, one key per session
+ */
+
+(function (root) {
+  'use strict';
+
+  class LocalStorageSessionStore {
+    constructor(options = {}) {
+      this.options = {
+        prefix: 'speech-to-text:session:',
+        storage: root.localStorage,
+        ...options
+      };
+      if (!this.options.storage) {
+        throw new Error('localStorage is not available');
+      }
+      this.storage = this.options.storage;
+      this.indexKey = `${this.options.prefix}index`;
+    }
+
+    /**
+     * Ids of the stored sessions
+     */
+    ids() {
+      const index = this.storage.getItem(this.indexKey);
+      return index ? JSON.parse(index) : [];
+    }
+
+    key(id) {
+      return this.options.prefix + id;
+    }
+
+    async put(summary) {
+      // The session is written before the index, so the index never points at a missing key
+      this.storage.setItem(this.key(summary.id), JSON.stringify(summary));
+      const ids = this.ids();
+      if (!ids.includes(summary.id)) {
+        this.storage.setItem(this.indexKey, JSON.stringify(ids.concat(summary.id)));
+      }
+    }
+
+    async get(id) {
+      const value = this.storage.getItem(this.key(id));
+      return value ? JSON.parse(value) : null;
+    }
+
+    async delete(id) {
+      const ids = this.ids();
+      if (!ids.includes(id)) {
+        return false;
+      }
+      this.storage.setItem(this.indexKey, JSON.stringify(ids.filter((stored) => stored !== id)));
+      this.storage.removeItem(this.key(id));
+      return true;
+    }
+
+    async list() {
+      const sessions = await Promise.all(this.ids().map((id) => this.get(id)));
+      return sessions.filter(Boolean);
+    }
+
+    async clear() {
+      this.ids().forEach((id) => this.storage.removeItem(this.key(id)));
+      this.storage.removeItem(this.indexKey);
+    }
+  }
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalStorageSessionStore;
+  } else {
+    root.LocalStorageSessionStore = LocalStorageSessionStore;
+  }
+})(typeof window !== 'undefined' ? window : this);
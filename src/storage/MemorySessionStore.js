@@ -0,0 +1,48 @@
+/**
+ * Memory Session Store
+ * Keeps session summaries in memory; for Node.js, tests and short-lived pages
+ */
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Deep copy of a summary, so stored sessions behave like persisted ones
+   */
+  function copy(summary) {
+    return JSON.parse(JSON.stringify(summary));
+  }
+
+  class MemorySessionStore {
+    constructor() {
+      this.sessions = new Map();
+    }
+
+    async put(summary) {
+      this.sessions.set(summary.id, copy(summary));
+    }
+
+    async get(id) {
+      return this.sessions.has(id) ? copy(this.sessions.get(id)) : null;
+    }
+
+    async delete(id) {
+      return this.sessions.delete(id);
+    }
+
+    async list() {
+      return Array.from(this.sessions.values(), copy);
+    }
+
+    async clear() {
+      this.sessions.clear();
+    }
+  }
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemorySessionStore;
+  } else {
+    root.MemorySessionStore = MemorySessionStore;
+  }
+})(typeof window !== 'undefined' ? window : this);
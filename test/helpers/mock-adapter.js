@@ -0,0 +1,31 @@
+/**
+ * Minimal adapter implementing the documented recognizer interface,
+ * shared by the engine tests
+ */
+class MockAdapter {
+  constructor() {
+    this.restartDelay = 0;
+    this.started = 0;
+    this.stopped = 0;
+  }
+
+  attach(handlers) {
+    this.handlers = handlers;
+  }
+
+  start(language) {
+    this.started++;
+    this.language = language;
+    this.handlers.onStart();
+  }
+
+  stop() {
+    this.stopped++;
+  }
+
+  say(transcript, isFinal = true, confidence = 0.9) {
+    this.handlers.onResult({ transcript, confidence, isFinal });
+  }
+}
+
+module.exports = MockAdapter;
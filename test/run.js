@@ -0,0 +1,26 @@
+/**
+ * Test runner
+ * Runs every test/test-*.js in its own Node.js process and exits non-zero
+ * if any of them fails
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const files = fs.readdirSync(__dirname)
+  .filter((file) => /^test-.*\.js$/.test(file))
+  .sort();
+
+const failed = files.filter((file) => {
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+  console.log('');
+  return result.status !== 0;
+});
+
+if (failed.length) {
+  console.error(`❌ ${failed.length} of ${files.length} test files failed: ${failed.join(', ')}`);
+  process.exitCode = 1;
+} else {
+  console.log(`🎉 All ${files.length} test files passed!`);
+}
@@ -0,0 +1,70 @@
+/**
+ * Test script for the command grammar and intent router
+ */
+
+const assert = require('assert');
+const CommandRouter = require('../src/core/CommandRouter.js');
+const NumberWords = require('../src/core/NumberWords.js');
+
+console.log('🧪 Testing Command Router...\n');
+
+try {
+  // Test 1: Number words
+  console.log('✅ Test 1: Number words');
+  assert.strictEqual(NumberWords.parse(['twenty', 'five']), 25);
+  assert.strictEqual(NumberWords.parse(['one', 'hundred', 'and', 'two']), 102);
+  assert.strictEqual(NumberWords.parse(['a', 'thousand']), 1000);
+  assert.strictEqual(NumberWords.parse(['42']), 42);
+  assert.strictEqual(NumberWords.parse(['five', 'five']), null);
+  assert.strictEqual(NumberWords.parse(['twenty', 'eleven']), null);
+  assert.strictEqual(NumberWords.parse(['blue']), null);
+
+  // Test 2: Slots
+  console.log('✅ Test 2: Slots');
+  const router = new CommandRouter({
+    commands: [
+      { intent: 'timer', pattern: 'set a timer for {number} minutes' },
+      { intent: 'call', pattern: 'call {contact}' },
+      {
+        intent: 'lights',
+        patterns: ['turn {state} the {room} lights', 'turn the {room} lights {state}'],
+        slots: { state: ['on', 'off'], room: ['kitchen', 'living room'] }
+      }
+    ]
+  });
+  assert.deepStrictEqual(router.match('Set a timer for twenty five minutes').slots, { number: 25 });
+  assert.deepStrictEqual(router.match('set a timer for 5 minutes').slots, { number: 5 });
+  assert.deepStrictEqual(router.match('call Aunt Mary'), {
+    intent: 'call',
+    slots: { contact: 'Aunt Mary' },
+    score: 1,
+    pattern: 'call {contact}'
+  });
+  assert.deepStrictEqual(router.match('turn the kitchen lights off').slots, { room: 'kitchen', state: 'off' });
+
+  // Test 3: Recognition errors
+  console.log('✅ Test 3: Recognition errors');
+  assert.strictEqual(router.match('set timer for ten minutes').intent, 'timer');
+  assert.strictEqual(router.match('set a timer for ten minuets').intent, 'timer');
+  assert.deepStrictEqual(router.match('turn on the livin room lights').slots, { state: 'on', room: 'living room' });
+  assert.strictEqual(router.match('set a timer for blue minutes'), null);
+  assert.strictEqual(router.match('what is the weather'), null);
+  assert.strictEqual(router.match('call'), null);
+  assert.strictEqual(new CommandRouter({ commands: router.commands, sensitivity: 0 })
+    .match('set timer for ten minutes'), null);
+
+  // Test 4: Registration
+  console.log('✅ Test 4: Registration');
+  router.add({ intent: 'call', pattern: 'phone {contact}' }).remove('lights');
+  assert.deepStrictEqual(router.intents, ['timer', 'call']);
+  assert.strictEqual(router.match('call mom'), null);
+  assert.throws(() => router.add({ intent: 'broken', pattern: 'wait {seconds:duration}' }), /Unknown slot type/);
+  assert.throws(() => router.add({ intent: 'broken', pattern: 'wait {seconds' }), /Invalid slot/);
+  assert.throws(() => router.add({ pattern: 'hello' }), /intent/);
+
+  console.log('\n🎉 All command router tests passed!');
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,712 @@
+/**
+ * Test script for the shared Speech Engine
+ * Drives the engine through a mock recognizer adapter
+ */
+
+const assert = require('assert');
+const SpeechEngine = require('../src/core/SpeechEngine.js');
+const SpeechError = require('../src/core/SpeechError.js');
+const WebSpeechAdapter = require('../src/adapters/WebSpeechAdapter.js');
+const MockAdapter = require('./helpers/mock-adapter.js');
+
+console.log('🧪 Testing Speech Engine...\n');
+
+try {
+  // Test 1: Adapter wiring
+  console.log('✅ Test 1: Adapter wiring');
+  const adapter = new MockAdapter();
+  const engine = new SpeechEngine(adapter, { language: 'de-DE' });
+  const events = [];
+
+  engine
+    .onWakeWordDetected((word) => events.push(['wake', word]))
+    .onSleepWordDetected((word) => events.push(['sleep', word]))
+    .onTranscript((data) => events.push(['transcript', data]))
+    .onStatusChange((status) => events.push(['status', status]));
+
+  engine.startListening();
+  assert.strictEqual(adapter.started, 1);
+  assert.strictEqual(adapter.language, 'de-DE');
+  assert.strictEqual(engine.getStatus().isListening, true);
+
+  // Test 2: Wake/sleep cycle through normalized results
+  console.log('✅ Test 2: Wake/sleep cycle');
+  adapter.say('hi');
+  adapter.say('Buy Milk', true, null);
+  adapter.say('bye');
+
+  const transcript = events.find(([type]) => type === 'transcript')[1];
+  assert.strictEqual(transcript.transcript, 'Buy Milk');
+  assert.strictEqual(transcript.confidence, null);
+  assert.deepStrictEqual(
+    events.filter(([type]) => type === 'wake' || type === 'sleep'),
+    [['wake', 'hi'], ['sleep', 'bye']]
+  );
+
+  // Test 3: Multiple phrases with aliases and actions
+  console.log('✅ Test 3: Multiple wake/sleep phrases');
+  const phraseAdapter = new MockAdapter();
+  const phraseEngine = new SpeechEngine(phraseAdapter, {
+    wakePhrases: [
+      { phrase: 'hey notes', aliases: ['ok notes'], action: 'notes', tag: 'notes' },
+      { phrase: 'start dictation', action: 'dictation' }
+    ],
+    sleepPhrases: ['stop dictation', "that's all"]
+  });
+  const detections = [];
+  phraseEngine.startListening();
+  phraseEngine
+    .onWakeWordDetected((phrase, detection) => detections.push(detection))
+    .onSleepWordDetected((phrase, detection) => detections.push(detection));
+
+  assert.strictEqual(phraseEngine.config.wakeWord, 'hey notes');
+  phraseAdapter.say('ok notes');
+  phraseAdapter.say("that's all");
+  phraseAdapter.say('start dictation');
+  assert.deepStrictEqual(
+    detections.map(({ phrase, matched, action, tag }) => [phrase, matched, action, tag]),
+    [
+      ['hey notes', 'ok notes', 'notes', 'notes'],
+      ["that's all", "that's all", null, null],
+      ['start dictation', 'start dictation', 'dictation', null]
+    ]
+  );
+
+  phraseEngine.updateConfig({
+    addSleepPhrases: [{ phrase: 'over and out', tag: 'radio' }],
+    removeSleepPhrases: ['stop dictation']
+  });
+  assert.deepStrictEqual(phraseEngine.getStatus().sleepPhrases, ["that's all", 'over and out']);
+  assert.strictEqual(phraseEngine.containsSleepWord('stop dictation'), false);
+  phraseAdapter.say('over and out');
+  assert.strictEqual(detections[detections.length - 1].tag, 'radio');
+
+  // Test 4: Speech around trigger phrases is kept
+  console.log('✅ Test 4: Utterance splitting at trigger phrases');
+  const splitAdapter = new MockAdapter();
+  const splitEngine = new SpeechEngine(splitAdapter);
+  const splitEvents = [];
+  splitEngine.startListening();
+  splitEngine
+    .onWakeWordDetected((word) => splitEvents.push(`wake:${word}`))
+    .onSleepWordDetected((word) => splitEvents.push(`sleep:${word}`))
+    .onTranscript((data) => splitEvents.push(`${data.isFinal ? 'final' : 'interim'}:${data.transcript}`));
+
+  splitAdapter.say('hi take a note buy milk');
+  splitAdapter.say('and eggs', false);
+  splitAdapter.say('and eggs, bye', false);
+  splitAdapter.say('and eggs bye', true);
+  splitAdapter.say('Hi', false);
+  splitAdapter.say('High remember the invoke', false);
+  splitAdapter.say('Hi remember the invoice bye hi again', true);
+  assert.deepStrictEqual(splitEvents, [
+    'wake:hi',
+    'final:take a note buy milk',
+    'interim:and eggs',
+    'final:and eggs',
+    'sleep:bye',
+    'wake:hi',
+    'interim:remember the invoke',
+    'final:remember the invoice',
+    'sleep:bye',
+    'wake:hi',
+    'final:again'
+  ]);
+
+  // Test 5: Multiple listeners
+  console.log('✅ Test 5: Multiple listeners with on/off/once');
+  const listenerAdapter = new MockAdapter();
+  const listenerEngine = new SpeechEngine(listenerAdapter);
+  const heard = [];
+  const analytics = (data) => heard.push(`analytics:${data.transcript}`);
+  listenerEngine.startListening();
+  listenerEngine
+    .onTranscript((data) => heard.push(`ui:${data.transcript}`))
+    .on('transcript', analytics)
+    .once('transcript', (data) => heard.push(`once:${data.transcript}`));
+
+  listenerAdapter.say('hi one');
+  listenerEngine.off('transcript', analytics);
+  listenerAdapter.say('two');
+  assert.deepStrictEqual(heard, ['ui:one', 'analytics:one', 'once:one', 'ui:two']);
+  listenerEngine.removeAllListeners('transcript');
+  assert.strictEqual(listenerEngine.listenerCount('transcript'), 0);
+
+  // Test 6: Sessions
+  console.log('✅ Test 6: Transcription sessions');
+  const sessionAdapter = new MockAdapter();
+  const sessionEngine = new SpeechEngine(sessionAdapter);
+  const sessions = [];
+  const sessionIds = [];
+  sessionEngine.startListening();
+  sessionEngine
+    .onTranscript((data) => sessionIds.push(data.sessionId))
+    .onSessionEnd((session) => sessions.push(session));
+
+  sessionAdapter.say('hi first note');
+  sessionAdapter.say('still', false);
+  sessionAdapter.say('still going');
+  sessionAdapter.say('done bye');
+  sessionAdapter.say('hi second');
+
+  assert.strictEqual(sessions.length, 1);
+  const [first] = sessions;
+  assert.deepStrictEqual(first.segments.map((segment) => segment.transcript), ['first note', 'still going', 'done']);
+  assert.strictEqual(first.text, 'first note still going done');
+  assert.strictEqual(first.endReason, 'sleep-word');
+  assert.strictEqual(first.wakePhrase.phrase, 'hi');
+  assert.strictEqual(first.sleepPhrase.phrase, 'bye');
+  assert.ok(first.startedAt <= first.endedAt);
+  assert.ok(sessionIds.slice(0, 4).every((id) => id === first.id));
+  assert.notStrictEqual(sessionEngine.getStatus().sessionId, first.id);
+
+  const endings = [];
+  sessionEngine.onTranscriptionEnd((end) => endings.push(end.reason));
+
+  sessionEngine.stopListening().then(() => {
+    assert.strictEqual(sessions.length, 2);
+    assert.strictEqual(sessions[1].endReason, 'manual');
+    assert.strictEqual(sessions[1].text, 'second');
+    assert.deepStrictEqual(endings, ['manual']);
+
+    // Test 7: Silence and maximum duration timeouts
+    console.log('✅ Test 7: Automatic sleep on timeouts');
+    const timeoutAdapter = new MockAdapter();
+    const timeoutEngine = new SpeechEngine(timeoutAdapter, { silenceTimeoutMs: 30, maxSessionMs: 100 });
+    const reasons = [];
+    timeoutEngine.startListening();
+    timeoutEngine
+      .onSleepWordDetected(() => reasons.push('sleep callback'))
+      .onTranscriptionEnd((end) => reasons.push(end.reason));
+
+    timeoutAdapter.say('hi');
+    const keepTalking = setInterval(() => timeoutAdapter.say('still talking', false), 10);
+
+    return new Promise((resolve) => setTimeout(resolve, 130)).then(() => {
+      clearInterval(keepTalking);
+      assert.deepStrictEqual(reasons, ['max-duration']);
+
+      timeoutAdapter.say('hi');
+      return new Promise((resolve) => setTimeout(resolve, 60));
+    }).then(() => {
+      assert.deepStrictEqual(reasons, ['max-duration', 'silence']);
+      assert.strictEqual(timeoutEngine.isTranscribing, false);
+    });
+  }).then(async () => {
+    // Test 8: Promise and async-iterator API
+    console.log('✅ Test 8: Promise and async-iterator API');
+    const asyncAdapter = new MockAdapter();
+    const asyncEngine = new SpeechEngine(asyncAdapter, {
+      wakePhrases: [{ phrase: 'hey notes', action: 'notes' }]
+    });
+
+    await asyncEngine.startListening();
+    await assert.rejects(asyncEngine.waitForWake({ timeout: 10 }), /Timed out/);
+
+    const wake = asyncEngine.waitForWake();
+    const session = asyncEngine.nextSession();
+    const received = [];
+    const loop = (async () => {
+      for await (const data of asyncEngine.transcripts({ finalOnly: true })) {
+        received.push(data.transcript);
+        if (received.length === 2) break;
+      }
+    })();
+
+    asyncAdapter.say('hey notes buy milk');
+    asyncAdapter.say('and', false);
+    asyncAdapter.say('and eggs bye');
+
+    assert.strictEqual((await wake).action, 'notes');
+    assert.strictEqual((await session).text, 'buy milk and eggs');
+    await loop;
+    assert.deepStrictEqual(received, ['buy milk', 'and eggs']);
+    assert.strictEqual(asyncEngine.listenerCount('transcript'), 0);
+
+    const pending = asyncEngine.nextSession();
+    await asyncEngine.destroy();
+    await assert.rejects(pending, /destroyed/);
+  }).then(async () => {
+    // Test 9: Restart policy
+    console.log('✅ Test 9: Restart backoff and giving up');
+    class FailingAdapter extends MockAdapter {
+      constructor(error) {
+        super();
+        this.error = error;
+      }
+
+      start() {
+        this.started++;
+        this.handlers.onStart();
+        this.handlers.onError(this.error);
+        this.handlers.onEnd();
+      }
+    }
+
+    const networkAdapter = new FailingAdapter(new SpeechError('network'));
+    const networkEngine = new SpeechEngine(networkAdapter, {
+      restartPolicy: { baseDelayMs: 1, maxRetries: 3 }
+    });
+    const statuses = [];
+    const errors = [];
+    networkEngine
+      .onStatusChange((status) => statuses.push(status))
+      .onError((error) => errors.push(error));
+    assert.deepStrictEqual(
+      [1, 2, 3, 4, 10].map((attempt) => networkEngine.restartPolicy.delayFor(attempt)),
+      [1, 2, 4, 8, 512]
+    );
+
+    networkEngine.startListening();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(networkAdapter.started, 4);
+    assert.strictEqual(statuses[statuses.length - 1], 'gave-up');
+    assert.strictEqual(networkEngine.getStatus().gaveUp, true);
+    assert.ok(errors[0] instanceof SpeechError);
+    assert.strictEqual(errors[0].code, 'network');
+    assert.strictEqual(errors[0].recoverable, true);
+    assert.strictEqual(errors[0].state.isListening, true);
+
+    const deniedAdapter = new FailingAdapter(new SpeechError('permission-denied'));
+    const deniedEngine = new SpeechEngine(deniedAdapter, { restartPolicy: { baseDelayMs: 1 } });
+    deniedEngine.startListening();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.strictEqual(deniedAdapter.started, 1);
+    assert.strictEqual(deniedEngine.getStatus().gaveUp, true);
+
+    const quietAdapter = new FailingAdapter(new SpeechError('no-speech'));
+    const quietEngine = new SpeechEngine(quietAdapter, { restartPolicy: { baseDelayMs: 1, maxRetries: 1 } });
+    quietEngine.startListening();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.ok(quietAdapter.started > 2);
+    assert.strictEqual(quietEngine.getStatus().gaveUp, false);
+    await quietEngine.destroy();
+  }).then(async () => {
+    // Test 10: Explicit stops are respected
+    console.log('✅ Test 10: Stop semantics');
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    class AsyncAdapter extends MockAdapter {
+      async start(language) {
+        this.started++;
+        this.language = language;
+        this.log.push('start');
+        await wait(5);
+        this.handlers.onStart();
+      }
+
+      async stop() {
+        this.stopped++;
+        await wait(5);
+        this.log.push('stopped');
+        this.handlers.onEnd();
+      }
+    }
+
+    const asyncStopAdapter = new AsyncAdapter();
+    asyncStopAdapter.log = [];
+    const stopEngine = new SpeechEngine(asyncStopAdapter);
+
+    // Concurrent starts share one recognizer start
+    await Promise.all([stopEngine.startListening(), stopEngine.startListening()]);
+    assert.strictEqual(asyncStopAdapter.started, 1);
+
+    // Stopping does not trigger an auto-restart
+    await stopEngine.stopListening();
+    await wait(20);
+    assert.strictEqual(asyncStopAdapter.started, 1);
+    assert.strictEqual(stopEngine.getStatus().shouldListen, false);
+
+    // Restarting waits for a pending stop to finish
+    await stopEngine.startListening();
+    const stopping = stopEngine.stopListening();
+    const restarting = stopEngine.startListening();
+    await Promise.all([stopping, restarting]);
+    assert.strictEqual(asyncStopAdapter.started, 3);
+    assert.deepStrictEqual(asyncStopAdapter.log.slice(-2), ['stopped', 'start']);
+
+    // Stop during a scheduled restart cancels it
+    asyncStopAdapter.handlers.onEnd();
+    await stopEngine.stopListening();
+    await wait(120);
+    assert.strictEqual(asyncStopAdapter.started, 3);
+
+    // Stop while a start is pending wins
+    const starting = stopEngine.startListening();
+    await stopEngine.stopListening();
+    await starting;
+    assert.strictEqual(stopEngine.isListening, false);
+
+    await stopEngine.destroy();
+    await stopEngine.startListening();
+    assert.strictEqual(asyncStopAdapter.started, 4);
+  }).then(async () => {
+    // Test 11: Lifecycle state machine
+    console.log('✅ Test 11: Lifecycle state machine');
+    const fsmAdapter = new MockAdapter();
+    const fsmEngine = new SpeechEngine(fsmAdapter);
+    const transitions = [];
+    const fsmStatuses = [];
+    fsmEngine
+      .onTransition(({ from, to, reason }) => transitions.push(`${from}>${to}:${reason}`))
+      .onStatusChange((status) => fsmStatuses.push(status));
+
+    assert.strictEqual(fsmEngine.getStatus().state, 'idle');
+    await fsmEngine.startListening();
+    fsmAdapter.say('hi');
+
+    // An auto-restart keeps the active transcription
+    fsmAdapter.handlers.onEnd();
+    assert.strictEqual(fsmEngine.getStatus().state, 'restarting');
+    assert.strictEqual(fsmEngine.getStatus().isTranscribing, true);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.strictEqual(fsmEngine.getStatus().state, 'transcribing');
+
+    fsmAdapter.say('bye');
+    await fsmEngine.stopListening();
+    await fsmEngine.destroy();
+
+    assert.deepStrictEqual(transitions, [
+      'idle>starting:start',
+      'starting>armed:recognizer-start',
+      'armed>transcribing:wake-word',
+      'transcribing>restarting:recognizer-end',
+      'restarting>starting:restart',
+      'starting>transcribing:recognizer-start',
+      'transcribing>armed:sleep-word',
+      'armed>idle:stop',
+      'idle>destroyed:destroy'
+    ]);
+    assert.ok(!fsmStatuses.includes('stopped') || fsmStatuses.indexOf('stopped') > fsmStatuses.indexOf('restarting'));
+    assert.throws(() => fsmEngine.fsm.transition('armed'), /Invalid state transition: destroyed -> armed/);
+  }).then(async () => {
+    // Test 12: Pause, resume and mute
+    console.log('✅ Test 12: Pause, resume and mute');
+    const pauseAdapter = new MockAdapter();
+    const pauseEngine = new SpeechEngine(pauseAdapter, { silenceTimeoutMs: 20 });
+    const heard = [];
+    const ended = [];
+    pauseEngine
+      .onTranscript((data) => heard.push(data.transcript))
+      .onTranscriptionEnd(({ reason }) => ended.push(reason));
+
+    await pauseEngine.startListening();
+    pauseAdapter.say('hi');
+    const sessionId = pauseEngine.getStatus().sessionId;
+
+    // Paused speech is ignored, including the rest of its utterance, and the session survives
+    await pauseEngine.pause();
+    assert.strictEqual(pauseEngine.getStatus().state, 'paused');
+    assert.strictEqual(pauseEngine.getStatus().isPaused, true);
+    pauseAdapter.say('bye from the speaker', false);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    await pauseEngine.resume();
+    pauseAdapter.say('bye from the speaker and more', true);
+    assert.strictEqual(pauseEngine.getStatus().state, 'transcribing');
+    assert.strictEqual(pauseEngine.getStatus().sessionId, sessionId);
+    assert.deepStrictEqual(heard, []);
+    assert.deepStrictEqual(ended, []);
+    pauseAdapter.say('still here');
+    assert.deepStrictEqual(heard, ['still here']);
+    pauseAdapter.say('bye');
+
+    // A recognizer that ends while paused is restarted on resume, not before
+    await pauseEngine.pause();
+    pauseAdapter.handlers.onEnd();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.strictEqual(pauseAdapter.started, 1);
+    assert.strictEqual(pauseEngine.getStatus().state, 'paused');
+    await pauseEngine.resume();
+    assert.strictEqual(pauseAdapter.started, 2);
+    assert.strictEqual(pauseEngine.getStatus().state, 'armed');
+
+    // muteFor() resumes by itself
+    await pauseEngine.muteFor(10);
+    pauseAdapter.say('hi');
+    assert.strictEqual(pauseEngine.getStatus().state, 'paused');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.strictEqual(pauseEngine.getStatus().state, 'armed');
+
+    // Stopping while muted cancels the timed resume
+    await pauseEngine.muteFor(5);
+    await pauseEngine.stopListening();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.strictEqual(pauseEngine.getStatus().state, 'idle');
+    await pauseEngine.destroy();
+
+    // Recognizers like Web Speech report their start later; pausing before then works
+    class DeferredStartAdapter extends MockAdapter {
+      start(language) {
+        this.started++;
+        this.language = language;
+        setTimeout(() => this.handlers.onStart(), 5);
+      }
+    }
+    const deferredAdapter = new DeferredStartAdapter();
+    const deferredEngine = new SpeechEngine(deferredAdapter);
+    await deferredEngine.startListening();
+    assert.strictEqual(deferredEngine.getStatus().state, 'starting');
+    await deferredEngine.pause();
+    assert.strictEqual(deferredEngine.getStatus().state, 'paused');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.strictEqual(deferredEngine.getStatus().state, 'paused');
+    await deferredEngine.resume();
+    assert.strictEqual(deferredEngine.getStatus().state, 'armed');
+    assert.strictEqual(deferredAdapter.started, 1);
+
+    await deferredEngine.stopListening();
+    await deferredEngine.startListening();
+    await deferredEngine.muteFor(10);
+    assert.strictEqual(deferredEngine.getStatus().state, 'paused');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.strictEqual(deferredEngine.getStatus().state, 'armed');
+    await deferredEngine.destroy();
+  }).then(async () => {
+    // Test 13: Activation modes
+    console.log('✅ Test 13: Activation modes');
+    const modeAdapter = new MockAdapter();
+    const modeEngine = new SpeechEngine(modeAdapter, { mode: 'push-to-talk', silenceTimeoutMs: 5 });
+    const modeHeard = [];
+    const starts = [];
+    const ends = [];
+    modeEngine
+      .onTranscript((data) => modeHeard.push(data.transcript))
+      .onTranscriptionStart(({ reason }) => starts.push(reason))
+      .onTranscriptionEnd(({ reason }) => ends.push(reason));
+
+    // Push-to-talk starts the recognizer on demand and ignores phrases and silence
+    await modeEngine.beginTranscription();
+    assert.strictEqual(modeAdapter.started, 1);
+    assert.strictEqual(modeEngine.getStatus().state, 'transcribing');
+    modeAdapter.say('hi bye there');
+    await new Promise((resolve) => setTimeout(resolve, 15));
+    assert.strictEqual(modeEngine.isTranscribing, true);
+    modeEngine.endTranscription();
+    modeAdapter.say('not transcribed');
+    assert.deepStrictEqual(modeHeard, ['hi bye there']);
+    assert.strictEqual(modeEngine.getStatus().state, 'armed');
+
+    // Toggle
+    modeEngine.updateConfig({ mode: 'toggle' });
+    await modeEngine.toggleTranscription();
+    modeAdapter.say('toggled on');
+    await modeEngine.toggleTranscription();
+    assert.strictEqual(modeEngine.isTranscribing, false);
+
+    // Always-on transcribes every utterance and starts a new session after silence
+    modeEngine.updateConfig({ mode: 'always-on' });
+    modeAdapter.say('first thought');
+    await new Promise((resolve) => setTimeout(resolve, 15));
+    modeAdapter.say('second thought');
+    assert.deepStrictEqual(modeHeard, ['hi bye there', 'toggled on', 'first thought', 'second thought']);
+
+    // Switching modes ends the active transcription
+    modeEngine.updateConfig({ mode: 'wake-word' });
+    assert.strictEqual(modeEngine.isTranscribing, false);
+    modeAdapter.say('hi again');
+    assert.strictEqual(modeEngine.getStatus().activeWakePhrase.phrase, 'hi');
+    assert.deepStrictEqual(starts, ['manual', 'manual', 'always-on', 'always-on', 'wake-word']);
+    assert.deepStrictEqual(ends, ['manual', 'manual', 'silence', 'mode-change']);
+    assert.throws(() => modeEngine.updateConfig({ mode: 'telepathy' }), /Unknown mode/);
+    assert.strictEqual(modeEngine.getStatus().mode, 'wake-word');
+    await modeEngine.destroy();
+  }).then(async () => {
+    // Test 14: One-shot commands
+    console.log('✅ Test 14: One-shot commands');
+    const shotAdapter = new MockAdapter();
+    const shotEngine = new SpeechEngine(shotAdapter, { mode: 'one-shot', commandTimeoutMs: 10 });
+    const commands = [];
+    const shotEnds = [];
+    const shotSessions = [];
+    shotEngine
+      .onCommand((command) => commands.push(command))
+      .onTranscriptionEnd(({ reason }) => shotEnds.push(reason))
+      .onSessionEnd((session) => shotSessions.push(session));
+    await shotEngine.startListening();
+
+    // Wake phrase and command in one utterance, re-armed without a sleep phrase
+    shotAdapter.say('hi turn on', false);
+    shotAdapter.say('hi turn on the lights');
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(commands[0].transcript, 'turn on the lights');
+    assert.strictEqual(commands[0].wakePhrase, 'hi');
+    assert.strictEqual(commands[0].isFinal, true);
+    assert.strictEqual(shotEngine.getStatus().state, 'armed');
+    shotAdapter.say('turn off the lights');
+    assert.strictEqual(commands.length, 1);
+
+    // Interim speech is delivered when the end-of-speech timeout passes
+    shotAdapter.say('hi play some', false);
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    assert.strictEqual(commands[1].transcript, 'play some');
+    assert.strictEqual(commands[1].isFinal, false);
+    assert.strictEqual(shotSessions[1].text, 'play some');
+    // The late final of that utterance does not wake the engine again
+    shotAdapter.say('hi play some music');
+    assert.strictEqual(shotEngine.getStatus().state, 'armed');
+
+    // Nothing said after the wake phrase
+    shotAdapter.say('hi');
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    assert.strictEqual(commands.length, 2);
+    assert.deepStrictEqual(shotEnds, ['command', 'command', 'command-timeout']);
+    assert.strictEqual(shotEngine.getStatus().state, 'armed');
+    await shotEngine.destroy();
+  }).then(async () => {
+    // Test 15: Command routing
+    console.log('✅ Test 15: Command routing');
+    const routeAdapter = new MockAdapter();
+    const routeEngine = new SpeechEngine(routeAdapter, {
+      commands: [{ intent: 'timer', pattern: 'set a timer for {minutes:number} minutes' }]
+    });
+    const routed = [];
+    const plain = [];
+    routeEngine
+      .onCommand((command) => routed.push(command))
+      .onTranscript((data) => plain.push(data.transcript));
+    await routeEngine.startListening();
+
+    routeAdapter.say('set a timer for five minutes');
+    routeAdapter.say('hi set a timer for', false);
+    routeAdapter.say('hi set a timer for twenty minutes');
+    routeAdapter.say('remind me to stretch');
+    assert.strictEqual(routed.length, 1);
+    assert.strictEqual(routed[0].intent, 'timer');
+    assert.deepStrictEqual(routed[0].slots, { minutes: 20 });
+    assert.strictEqual(routed[0].transcript, 'set a timer for twenty minutes');
+    assert.strictEqual(routed[0].wakePhrase, 'hi');
+    assert.deepStrictEqual(plain, ['set a timer for', 'remind me to stretch']);
+
+    // Commands can change at runtime; one-shot commands carry the intent too
+    routeEngine.updateConfig({
+      mode: 'one-shot',
+      addCommands: [{ intent: 'call', pattern: 'call {contact}' }],
+      removeCommands: ['timer']
+    });
+    assert.deepStrictEqual(routeEngine.getStatus().commands, ['call']);
+    routeAdapter.say('hi call mom');
+    routeAdapter.say('hi what time is it');
+    assert.deepStrictEqual(routed.slice(1).map(({ intent, slots }) => ({ intent, slots })), [
+      { intent: 'call', slots: { contact: 'mom' } },
+      { intent: null, slots: {} }
+    ]);
+
+    // Dictation formatting applies to final transcripts; commands match the spoken words
+    routeEngine.updateConfig({ mode: 'wake-word', format: true, addCommands: [{ intent: 'wait', pattern: 'wait {number} minutes' }] });
+    plain.length = 0;
+    routeAdapter.say('hi note to self comma buy', false);
+    routeAdapter.say('hi note to self comma buy twelve eggs period');
+    routeAdapter.say('wait fifteen minutes');
+    routeEngine.updateConfig({ format: false });
+    routeAdapter.say('no formatting period');
+    assert.deepStrictEqual(plain, ['note to self comma buy', 'Note to self, buy 12 eggs.', 'no formatting period']);
+    assert.deepStrictEqual(routed[routed.length - 1].slots, { number: 15 });
+    assert.strictEqual(routed[routed.length - 1].transcript, 'Wait 15 minutes');
+    await routeEngine.destroy();
+  }).then(async () => {
+    // Test 16: Confidence thresholds and alternatives
+    console.log('✅ Test 16: Confidence thresholds and alternatives');
+    const altAdapter = new MockAdapter();
+    const altEngine = new SpeechEngine(altAdapter, { wakeConfidence: 0.6, transcriptConfidence: 0.5 });
+    const heard = [];
+    altEngine
+      .onWakeWordDetected((phrase) => heard.push(`wake ${phrase}`))
+      .onSleepWordDetected((phrase) => heard.push(`sleep ${phrase}`))
+      .onTranscript((data) => heard.push(data));
+    altEngine.startListening();
+    const hypotheses = (isFinal, ...alternatives) => altAdapter.handlers.onResult({
+      transcript: alternatives[0][0],
+      confidence: alternatives[0][1],
+      isFinal: isFinal,
+      alternatives: alternatives.map(([transcript, confidence]) => ({ transcript, confidence }))
+    });
+
+    // Too unsure to wake, then a wake phrase only in the second hypothesis
+    altAdapter.say('hi there', true, 0.4);
+    assert.strictEqual(altEngine.isTranscribing, false);
+    hypotheses(true, ['high note taking', 0.9], ['hi note taking', 0.7]);
+    assert.strictEqual(altEngine.isTranscribing, true);
+    assert.deepStrictEqual(heard.shift(), 'wake hi');
+    assert.deepStrictEqual(heard.shift().alternatives, [{ transcript: 'note taking', confidence: 0.7 }]);
+
+    // Low-confidence final transcripts are dropped; alternatives are listed best first
+    altAdapter.say('mumble', true, 0.3);
+    hypotheses(true, ['buy milk', 0.8], ['by milk', 0.1], ['buy milk', 0.05], ['buy mill', 0.05]);
+    const [delivered] = heard.splice(0);
+    assert.strictEqual(delivered.transcript, 'buy milk');
+    assert.deepStrictEqual(delivered.alternatives.map((alternative) => alternative.transcript), ['buy milk', 'by milk', 'buy mill']);
+    assert.strictEqual(altEngine.isTranscribing, true);
+
+    // A sleep phrase in a lower-ranked hypothesis ends transcription
+    hypotheses(true, ['that is all by', 0.8], ['that is all bye', 0.6]);
+    assert.deepStrictEqual(heard.map((entry) => entry.transcript || entry), ['that is all', 'sleep bye']);
+    assert.strictEqual(altEngine.isTranscribing, false);
+    await altEngine.destroy();
+  }).then(async () => {
+    // Test 17: Transcript deltas
+    console.log('✅ Test 17: Transcript deltas');
+    const deltaAdapter = new MockAdapter();
+    const deltaEngine = new SpeechEngine(deltaAdapter);
+    const deltas = [];
+    deltaEngine.onTranscriptDelta((delta) => deltas.push(delta));
+    deltaEngine.startListening();
+    const split = () => deltas.splice(0).map(({ index, stable, unstable, appended, revised, isFinal }) =>
+      [index, stable, unstable, appended, revised, isFinal]);
+
+    deltaAdapter.say('hi the', false);
+    deltaAdapter.say('hi the quick', false);
+    deltaAdapter.say('hi the quick brown', false);
+    deltaAdapter.say('hi the quick brown fox');
+    assert.deepStrictEqual(split(), [
+      [0, '', 'the', '', false, false],
+      [0, 'the', ' quick', 'the', false, false],
+      [0, 'the quick', ' brown', ' quick', false, false],
+      [0, 'the quick brown fox', '', ' brown fox', false, true]
+    ]);
+
+    // The recognizer revising stable words replaces the line
+    deltaAdapter.say('a lot', false);
+    deltaAdapter.say('a lot of', false);
+    deltaAdapter.say('allot of money');
+    assert.deepStrictEqual(split(), [
+      [1, '', 'a lot', '', false, false],
+      [1, 'a lot', ' of', 'a lot', false, false],
+      [1, 'allot of money', '', 'allot of money', true, true]
+    ]);
+
+    // A Web Speech event can finalize one utterance and start the next
+    const results = WebSpeechAdapter.toResults({
+      resultIndex: 1,
+      results: [
+        Object.assign([{ transcript: 'old', confidence: 0.9 }], { isFinal: true }),
+        Object.assign([{ transcript: 'next one', confidence: 0.8 }], { isFinal: true }),
+        Object.assign([{ transcript: 'and', confidence: 0.1 }], { isFinal: false })
+      ]
+    });
+    results.forEach((result) => deltaAdapter.handlers.onResult(result));
+    assert.deepStrictEqual(split(), [
+      [2, 'next one', '', 'next one', false, true],
+      [3, '', 'and', '', false, false]
+    ]);
+
+    // Each session numbers its utterances from 0
+    deltaAdapter.say('and bye');
+    deltaAdapter.say('hi again');
+    assert.deepStrictEqual(split().map(([index, stable]) => [index, stable]), [[3, 'and'], [0, 'again']]);
+    assert.strictEqual(deltaEngine.getSession().text, 'again');
+    await deltaEngine.destroy();
+  }).then(() => {
+    // Test 18: Cleanup
+    console.log('✅ Test 18: Cleanup');
+    return engine.destroy();
+  }).then(() => {
+    assert.strictEqual(engine.adapter, null);
+    console.log('\n🎉 All engine tests passed!');
+  }).catch((error) => {
+    console.error('\n❌ Test failed:', error.message);
+    process.exitCode = 1;
+  });
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,59 @@
+/**
+ * Test script for the structured error taxonomy
+ */
+
+const assert = require('assert');
+
+global.window = {
+  webkitSpeechRecognition: class MockSpeechRecognition {
+    start() {}
+    stop() {}
+  }
+};
+
+const SpeechError = require('../src/core/SpeechError.js');
+const WebSpeechAdapter = require('../src/adapters/WebSpeechAdapter.js');
+
+console.log('🧪 Testing Speech Errors...\n');
+
+try {
+  // Test 1: Codes and recoverability
+  console.log('✅ Test 1: Codes and recoverability');
+  const denied = new SpeechError('permission-denied');
+  assert.ok(denied instanceof Error);
+  assert.strictEqual(denied.code, 'permission-denied');
+  assert.strictEqual(denied.recoverable, false);
+  assert.strictEqual(new SpeechError('no-speech').recoverable, true);
+  assert.strictEqual(new SpeechError('made-up').code, 'unknown');
+
+  // Test 2: Wrapping raw errors
+  console.log('✅ Test 2: Wrapping raw errors');
+  const wrapped = SpeechError.from('Speech recognition error');
+  assert.strictEqual(wrapped.code, 'unknown');
+  assert.strictEqual(wrapped.message, 'Speech recognition error');
+  assert.strictEqual(SpeechError.from(denied), denied);
+  const fromError = SpeechError.from(new TypeError('boom'), { code: 'busy', platform: 'web' });
+  assert.strictEqual(fromError.code, 'busy');
+  assert.strictEqual(fromError.platformError.message, 'boom');
+  assert.strictEqual(JSON.parse(JSON.stringify(fromError)).platformError.name, 'TypeError');
+
+  // Test 3: Web Speech API error mapping
+  console.log('✅ Test 3: Web Speech API error mapping');
+  const webCodes = ['not-allowed', 'service-not-allowed', 'no-speech', 'network', 'audio-capture', 'aborted', 'bad-grammar']
+    .map((error) => WebSpeechAdapter.toError({ error }).code);
+  assert.deepStrictEqual(webCodes, [
+    'permission-denied', 'permission-denied', 'no-speech', 'network', 'audio-capture', 'aborted', 'unknown'
+  ]);
+  assert.strictEqual(WebSpeechAdapter.toError({ error: 'not-allowed' }).platformError, 'not-allowed');
+
+  // Test 4: Unsupported browsers
+  console.log('✅ Test 4: Unsupported browsers');
+  delete global.window.webkitSpeechRecognition;
+  assert.throws(() => new WebSpeechAdapter(), (error) => error.code === 'unsupported');
+
+  console.log('\n🎉 All error tests passed!');
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,81 @@
+/**
+ * Test script for transcript export
+ */
+
+const assert = require('assert');
+const TranscriptExporter = require('../src/core/TranscriptExporter.js');
+const TranscriptionSession = require('../src/core/TranscriptionSession.js');
+
+console.log('🧪 Testing Transcript Exporter...\n');
+
+try {
+  const start = Date.parse('2026-03-05T10:00:00.000Z');
+  const session = new TranscriptionSession({ id: 'first', startTime: start, startReason: 'wake-word', wakePhrase: { phrase: 'hi' } });
+  session.addSegment({ transcript: 'Hello there.', confidence: 0.9, startTime: start + 500, endTime: start + 1200 });
+  session.addSegment({
+    transcript: 'This sentence is long enough to need more than one caption cue for sure.',
+    confidence: 0.8,
+    startTime: start + 2000,
+    endTime: start + 20000
+  });
+  session.end('sleep-word', null, start + 21000);
+  const later = new TranscriptionSession({ id: 'second', startTime: start + 60000 });
+  later.addSegment({ transcript: 'Later', startTime: start + 61000, endTime: start + 61500 });
+  later.end('manual', null, start + 62000);
+  const summaries = [session.toJSON(), later.toJSON()];
+
+  // Test 1: SRT with line wrapping and cue durations
+  console.log('✅ Test 1: SRT');
+  const exporter = new TranscriptExporter({ maxLineLength: 30, maxLines: 1, minCueMs: 1000, maxCueMs: 6000 });
+  assert.strictEqual(exporter.toSRT(summaries), [
+    '1', '00:00:00,500 --> 00:00:01,500', 'Hello there.', '',
+    '2', '00:00:02,000 --> 00:00:08,000', 'This sentence is long enough', '',
+    '3', '00:00:09,200 --> 00:00:15,200', 'to need more than one caption', '',
+    '4', '00:00:16,657 --> 00:00:20,000', 'cue for sure.', '',
+    '5', '00:01:01,000 --> 00:01:02,000', 'Later', ''
+  ].join('\n'));
+
+  // Test 2: WebVTT of a single live session
+  console.log('✅ Test 2: WebVTT');
+  const vtt = new TranscriptExporter({ maxLineLength: 80 }).toWebVTT(session);
+  assert.strictEqual(vtt, [
+    'WEBVTT', '',
+    '00:00:00.500 --> 00:00:01.500', 'Hello there.', '',
+    '00:00:02.000 --> 00:00:09.000',
+    'This sentence is long enough to need more than one caption cue for sure.', ''
+  ].join('\n'));
+
+  // Test 3: JSON schema
+  console.log('✅ Test 3: JSON');
+  const record = JSON.parse(exporter.export(summaries, 'json'));
+  assert.strictEqual(record.version, TranscriptExporter.SCHEMA_VERSION);
+  assert.deepStrictEqual(record.sessions.map((entry) => [entry.id, entry.wakePhrase, entry.endReason]), [
+    ['first', 'hi', 'sleep-word'], ['second', null, 'manual']
+  ]);
+  assert.deepStrictEqual(record.sessions[0].segments[0], { index: 0, startMs: 500, endMs: 1200, text: 'Hello there.', confidence: 0.9 });
+
+  // Test 4: Plain text
+  console.log('✅ Test 4: Plain text');
+  assert.strictEqual(exporter.export(summaries, 'txt'),
+    'Hello there.\nThis sentence is long enough to need more than one caption cue for sure.\n\nLater\n');
+  assert.strictEqual(new TranscriptExporter({ timestamps: true }).toText(later.toJSON()), '[00:00:01] Later\n');
+  assert.strictEqual(exporter.toText([]), '');
+
+  // Test 5: Options and formats
+  console.log('✅ Test 5: Options and formats');
+  assert.throws(() => exporter.export(summaries, 'docx'), /Unknown export format/);
+  assert.throws(() => new TranscriptExporter({ minCueMs: 5000, maxCueMs: 1000 }), /minCueMs/);
+  assert.strictEqual(TranscriptExporter.FORMATS.vtt.mimeType, 'text/vtt');
+
+  // Test 6: Sessions newest first, as history.list() returns them
+  console.log('✅ Test 6: Session order');
+  const newestFirst = [later.toJSON(), session.toJSON()];
+  assert.strictEqual(exporter.toSRT(newestFirst), exporter.toSRT(summaries));
+  assert.deepStrictEqual(exporter.cues(newestFirst).map((cue) => cue.startMs), [500, 2000, 9200, 16657, 61000]);
+
+  console.log('\n🎉 All exporter tests passed!');
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,66 @@
+/**
+ * Test script for the dictation formatter
+ */
+
+const assert = require('assert');
+const TranscriptFormatter = require('../src/core/TranscriptFormatter.js');
+const NumberWords = require('../src/core/NumberWords.js');
+
+console.log('🧪 Testing Transcript Formatter...\n');
+
+try {
+  // Test 1: Spoken punctuation and capitalization
+  console.log('✅ Test 1: Spoken punctuation and capitalization');
+  const en = new TranscriptFormatter();
+  assert.strictEqual(
+    en.format('hello comma how are you question mark i am fine period new paragraph see you'),
+    'Hello, how are you? I am fine.\n\nSee you'
+  );
+  assert.strictEqual(en.format("i think i'm done exclamation mark new line bye"), "I think I'm done!\nBye");
+
+  // Test 2: Numbers, dates and times
+  console.log('✅ Test 2: Numbers, dates and times');
+  assert.strictEqual(en.format('we need twenty five chairs and three tables'), 'We need 25 chairs and three tables');
+  assert.strictEqual(
+    en.format('the meeting is on march fifth twenty twenty four at three thirty pm'),
+    'The meeting is on March 5, 2024 at 3:30 PM'
+  );
+  assert.strictEqual(en.format('on the twenty first of june'), 'On June 21');
+  assert.strictEqual(en.format("call me at seven o'clock"), 'Call me at 7:00');
+  assert.strictEqual(en.format('set it for 10 am period'), 'Set it for 10 AM.');
+  assert.strictEqual(en.format('you may be right'), 'You may be right');
+
+  // Test 3: Spanish and German rules
+  console.log('✅ Test 3: Spanish and German rules');
+  const es = new TranscriptFormatter({ language: 'es-ES' });
+  assert.strictEqual(es.format('hola coma cómo estás signo de interrogación'), '¿Hola, cómo estás?');
+  assert.strictEqual(
+    es.format('nos vemos el cinco de marzo de dos mil veinticuatro a las tres y media punto'),
+    'Nos vemos el 5 de marzo de 2024 a las 3:30.'
+  );
+  assert.strictEqual(es.format('tengo veinticinco años punto y coma y tú'), 'Tengo 25 años; y tú');
+  const de = new TranscriptFormatter({ language: 'de-DE' });
+  assert.strictEqual(
+    de.format('wir treffen uns am dritten märz zweitausendvierundzwanzig um fünfzehn uhr dreißig punkt'),
+    'Wir treffen uns am 3. März 2024 um 15:30 Uhr.'
+  );
+  assert.strictEqual(de.format('das kostet fünfundzwanzig euro neue zeile danke'), 'Das kostet 25 euro\nDanke');
+  assert.strictEqual(NumberWords.parse(['doscientos', 'treinta', 'y', 'dos'], 'es'), 232);
+  assert.strictEqual(NumberWords.parseOrdinal(['einundzwanzigste'], 'de'), 21);
+
+  // Test 4: Options and custom rules
+  console.log('✅ Test 4: Options and custom rules');
+  const plain = new TranscriptFormatter({ numbers: false, capitalize: false });
+  assert.strictEqual(plain.format('twenty five comma please'), 'twenty five, please');
+  const custom = new TranscriptFormatter({
+    language: 'en-GB',
+    rules: { 'en-GB': { ...TranscriptFormatter.RULES.en, punctuation: { 'full stop': '.' } } }
+  });
+  assert.strictEqual(custom.format('cheers full stop period'), 'Cheers. Period');
+
+  console.log('\n🎉 All formatter tests passed!');
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,157 @@
+/**
+ * Test script for session storage and history
+ */
+
+const assert = require('assert');
+const SessionHistory = require('../src/core/SessionHistory.js');
+const MemorySessionStore = require('../src/storage/MemorySessionStore.js');
+const LocalStorageSessionStore = require('../src/storage/LocalStorageSessionStore.js');
+const SpeechEngine = require('../src/core/SpeechEngine.js');
+const MockAdapter = require('./helpers/mock-adapter.js');
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+class FakeLocalStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Session summary started `minutesAgo` minutes before `now`
+ */
+function summary(id, minutesAgo, now = Date.now()) {
+  const startedAt = new Date(now - minutesAgo * 60000);
+  return {
+    id: id,
+    startedAt: startedAt.toISOString(),
+    endedAt: new Date(startedAt.getTime() + 1000).toISOString(),
+    durationMs: 1000,
+    startReason: 'wake-word',
+    endReason: 'sleep-word',
+    wakePhrase: null,
+    sleepPhrase: null,
+    text: id,
+    segments: []
+  };
+}
+
+console.log('🧪 Testing Session History...\n');
+
+(async () => {
+  // Test 1: Stores implement the same interface
+  console.log('✅ Test 1: Memory and localStorage stores');
+  const fakeStorage = new FakeLocalStorage();
+  for (const store of [new MemorySessionStore(), new LocalStorageSessionStore({ storage: fakeStorage })]) {
+    await store.put(summary('a', 2));
+    await store.put(summary('b', 1));
+    await store.put({ ...summary('a', 2), text: 'updated' });
+    assert.strictEqual((await store.get('a')).text, 'updated');
+    assert.strictEqual(await store.get('missing'), null);
+    assert.deepStrictEqual((await store.list()).map((session) => session.id).sort(), ['a', 'b']);
+    assert.strictEqual(await store.delete('a'), true);
+    assert.strictEqual(await store.delete('a'), false);
+    await store.clear();
+    assert.deepStrictEqual(await store.list(), []);
+  }
+  assert.strictEqual(fakeStorage.items.size, 0);
+  assert.throws(() => new SessionHistory({ put() {} }), /need these methods: get, delete, list, clear/);
+
+  // Test 2: Listing, filtering and deleting
+  console.log('✅ Test 2: History API');
+  const history = new SessionHistory(new MemorySessionStore());
+  const now = Date.now();
+  await Promise.all([summary('old', 60, now), summary('mid', 30, now), summary('new', 5, now)]
+    .map((session) => history.save(session)));
+  assert.deepStrictEqual((await history.list()).map((session) => session.id), ['new', 'mid', 'old']);
+  assert.deepStrictEqual((await history.list({ limit: 1 })).map((session) => session.id), ['new']);
+  assert.deepStrictEqual((await history.list({ since: now - 45 * 60000 })).map((session) => session.id), ['new', 'mid']);
+  assert.deepStrictEqual((await history.list({ until: new Date(now - 10 * 60000) })).map((session) => session.id), ['mid', 'old']);
+  assert.strictEqual((await history.get('mid')).text, 'mid');
+  assert.strictEqual(await history.delete('mid'), true);
+  assert.strictEqual(await history.get('mid'), null);
+  await history.clear();
+  assert.deepStrictEqual(await history.list(), []);
+
+  // Test 3: Retention by count and age
+  console.log('✅ Test 3: Retention policy');
+  const retained = new SessionHistory(new MemorySessionStore(), { maxSessions: 2, maxAgeMs: 45 * 60000 });
+  await retained.save(summary('ancient', 90, now));
+  await retained.save(summary('old', 40, now));
+  await retained.save(summary('mid', 20, now));
+  assert.deepStrictEqual((await retained.list()).map((session) => session.id), ['mid', 'old']);
+  assert.deepStrictEqual(await retained.purge(now + 10 * 60000), ['old']);
+  assert.deepStrictEqual((await retained.list()).map((session) => session.id), ['mid']);
+  // Sessions still in progress are saved without purging
+  await retained.save({ ...summary('live', 0, now), endedAt: null });
+  await retained.save({ ...summary('live2', 0, now), endedAt: null });
+  assert.strictEqual((await retained.list()).length, 3);
+
+  // Test 4: The engine saves sessions as they progress
+  console.log('✅ Test 4: Engine persistence');
+  const store = new MemorySessionStore();
+  await store.put(summary('expired', 120));
+  const adapter = new MockAdapter();
+  const engine = new SpeechEngine(adapter, { storage: store, retention: { maxAgeMs: 60 * 60000 } });
+  engine.startListening();
+  adapter.say('hi');
+  adapter.say('buy milk');
+  await engine.history.flush();
+  const [inProgress] = await engine.history.list();
+  assert.strictEqual(inProgress.id, engine.getSession().id);
+  assert.strictEqual(inProgress.endedAt, null);
+  assert.deepStrictEqual(inProgress.segments.map((segment) => segment.transcript), ['buy milk']);
+  adapter.say('and eggs');
+  adapter.say('bye');
+  await engine.history.flush();
+  const stored = await engine.history.list();
+  assert.strictEqual(stored.length, 1);
+  assert.strictEqual(stored[0].endReason, 'sleep-word');
+  assert.strictEqual(stored[0].text, 'buy milk and eggs');
+
+  // Test 5: Storage failures are reported without affecting recognition
+  console.log('✅ Test 5: Storage errors');
+  const errors = [];
+  const failing = new MemorySessionStore();
+  failing.put = async () => { throw new Error('quota exceeded'); };
+  engine.onError((error) => errors.push(error));
+  engine.updateConfig({ storage: failing });
+  adapter.say('hi');
+  adapter.say('still transcribing');
+  await engine.history.flush();
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].code, 'storage');
+  assert.strictEqual(errors[0].recoverable, true);
+  assert.ok(/quota exceeded/.test(errors[0].message));
+  assert.strictEqual(engine.lastError, null);
+  assert.strictEqual(engine.isTranscribing, true);
+
+  // Test 6: Destroy waits for the last save
+  console.log('✅ Test 6: Cleanup');
+  engine.updateConfig({ storage: store });
+  adapter.say('last words');
+  await engine.destroy();
+  const sessions = await new SessionHistory(store).list();
+  assert.strictEqual(sessions.length, 2);
+  assert.strictEqual(sessions[0].endReason, 'manual');
+  assert.deepStrictEqual(sessions[0].segments.map((segment) => segment.transcript), ['still transcribing', 'last words']);
+
+  console.log('\n🎉 All history tests passed!');
+})().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+});
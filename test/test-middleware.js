@@ -0,0 +1,164 @@
+/**
+ * Test script for the plugin middleware pipeline
+ */
+
+const assert = require('assert');
+const MiddlewarePipeline = require('../src/core/MiddlewarePipeline.js');
+const SpeechEngine = require('../src/core/SpeechEngine.js');
+const SpeechError = require('../src/core/SpeechError.js');
+const MockAdapter = require('./helpers/mock-adapter.js');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+console.log('🧪 Testing Middleware Pipeline...\n');
+
+(async () => {
+  // Test 1: Transform, keep and drop
+  console.log('✅ Test 1: Transform, keep and drop');
+  const pipeline = new MiddlewarePipeline();
+  pipeline
+    .use(function upper(data) {
+      return { ...data, text: data.text.toUpperCase() };
+    });
+  pipeline.use({
+    name: 'tag',
+    transcript: (data) => {
+      data.tagged = true;
+    }
+  });
+  pipeline.use({ name: 'quiet', transcript: (data) => (data.text === 'SHH' ? null : data) });
+  assert.deepStrictEqual(pipeline.run('transcript', { text: 'hi' }), { text: 'HI', tagged: true });
+  assert.strictEqual(pipeline.run('transcript', { text: 'shh' }), null);
+  assert.deepStrictEqual(pipeline.run('wake', { phrase: 'hi' }), { phrase: 'hi' });
+  assert.deepStrictEqual(pipeline.names, ['upper', 'tag', 'quiet']);
+  assert.strictEqual(pipeline.remove('quiet').name, 'quiet');
+  assert.strictEqual(pipeline.remove('quiet'), null);
+  assert.throws(() => pipeline.use({ name: 'empty' }), /at least one of/);
+
+  // Test 2: Async plugins and plugin errors
+  console.log('✅ Test 2: Async plugins and plugin errors');
+  pipeline.use({ name: 'slow', transcript: async (data) => ({ ...data, slow: true }) });
+  const pending = pipeline.run('transcript', { text: 'hi' });
+  assert.ok(MiddlewarePipeline.isThenable(pending));
+  assert.deepStrictEqual(await pending, { text: 'HI', tagged: true, slow: true });
+  pipeline.use({ name: 'broken', transcript: () => { throw new Error('boom'); } });
+  await assert.rejects(pipeline.run('transcript', { text: 'hi' }), (error) =>
+    error.plugin === 'broken' && error.hook === 'transcript' && /boom/.test(error.message));
+
+  // Test 3: Engine transcripts with metadata, drops and session segments
+  console.log('✅ Test 3: Engine transcript plugins');
+  const adapter = new MockAdapter();
+  const engine = new SpeechEngine(adapter, {
+    plugins: [
+      { name: 'length', transcript: (data) => { data.metadata.words = data.transcript.split(' ').length; } },
+      { name: 'no-interim', transcript: (data) => data.isFinal }
+    ]
+  });
+  const transcripts = [];
+  const sessions = [];
+  engine.onTranscript((data) => transcripts.push(data)).onSessionEnd((session) => sessions.push(session));
+  engine.startListening();
+  adapter.say('hi');
+  adapter.say('buy', false);
+  adapter.say('buy milk');
+  engine.use(function censor(data) {
+    return { ...data, transcript: data.transcript.replace(/darn/g, '****') };
+  });
+  adapter.say('darn it');
+  adapter.say('bye');
+  assert.deepStrictEqual(transcripts.map((data) => data.transcript), ['buy milk', '**** it']);
+  assert.deepStrictEqual(transcripts[0].metadata, { words: 2 });
+  assert.deepStrictEqual(sessions[0].segments.map((segment) => segment.transcript), ['buy milk', '**** it']);
+  assert.deepStrictEqual(engine.getStatus().plugins, ['length', 'no-interim', 'censor']);
+
+  // Test 4: Async plugins keep events in order
+  console.log('✅ Test 4: Async ordering');
+  const order = [];
+  const asyncAdapter = new MockAdapter();
+  const asyncEngine = new SpeechEngine(asyncAdapter);
+  asyncEngine
+    .use({ name: 'lookup', transcript: async (data) => {
+      await delay(data.transcript === 'first' ? 20 : 0);
+      return { ...data, transcript: `${data.transcript}!` };
+    } })
+    .onWakeWordDetected((phrase) => order.push(`wake ${phrase}`))
+    .onTranscriptionStart(() => order.push('start'))
+    .onTranscript((data) => order.push(data.transcript))
+    .onSleepWordDetected((phrase) => order.push(`sleep ${phrase}`))
+    .onTranscriptionEnd((data) => order.push(`end ${data.reason}`))
+    .onSessionEnd((session) => order.push(`session ${session.segments.length}`));
+  asyncEngine.startListening();
+  asyncAdapter.say('hi');
+  asyncAdapter.say('first');
+  asyncAdapter.say('second');
+  asyncAdapter.say('bye');
+  assert.deepStrictEqual(order, ['wake hi', 'start']);
+  await delay(40);
+  assert.deepStrictEqual(order, ['wake hi', 'start', 'first!', 'second!', 'sleep bye', 'end sleep-word', 'session 2']);
+
+  // Test 5: Wake, sleep and error hooks
+  console.log('✅ Test 5: Wake, sleep and error hooks');
+  const hookAdapter = new MockAdapter();
+  const hookEngine = new SpeechEngine(hookAdapter);
+  const seen = [];
+  const plugin = {
+    name: 'hooks',
+    setup: (target) => seen.push(['setup', target === hookEngine]),
+    teardown: () => seen.push(['teardown']),
+    wake: (detection) => ({ ...detection, phrase: detection.phrase.toUpperCase() }),
+    sleep: () => null,
+    error: (error) => (error.code === 'no-speech' ? null : error)
+  };
+  hookEngine
+    .use(plugin)
+    .onWakeWordDetected((phrase) => seen.push(['wake', phrase]))
+    .onSleepWordDetected((phrase) => seen.push(['sleep', phrase]))
+    .onError((error) => seen.push(['error', error.code]));
+  hookEngine.startListening();
+  hookAdapter.say('hi');
+  hookAdapter.say('bye');
+  hookAdapter.handlers.onError(new SpeechError('no-speech'));
+  hookAdapter.handlers.onError(new SpeechError('network'));
+  // Dropping the sleep event does not keep transcription going
+  assert.strictEqual(hookEngine.isTranscribing, false);
+  hookEngine.unuse('hooks');
+  hookAdapter.say('hi');
+  assert.deepStrictEqual(seen, [
+    ['setup', true], ['wake', 'HI'], ['error', 'network'], ['teardown'], ['wake', 'hi']
+  ]);
+
+  // Test 6: A failing plugin drops the event and reports an error
+  console.log('✅ Test 6: Failing plugins');
+  const failAdapter = new MockAdapter();
+  const failEngine = new SpeechEngine(failAdapter, { mode: 'always-on' });
+  const errors = [];
+  const delivered = [];
+  failEngine
+    .use({ name: 'flaky', transcript: async (data) => {
+      if (data.transcript === 'fail') throw new Error('service down');
+    } })
+    .onTranscript((data) => delivered.push(data.transcript))
+    .onError((error) => errors.push(error));
+  failEngine.startListening();
+  failAdapter.say('fail');
+  failAdapter.say('works');
+  await delay(0);
+  assert.deepStrictEqual(delivered, ['works']);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].code, 'unknown');
+  assert.ok(/Plugin "flaky" failed in its transcript hook: service down/.test(errors[0].message));
+
+  // Test 7: Plugins are torn down on destroy
+  console.log('✅ Test 7: Cleanup');
+  await engine.destroy();
+  await asyncEngine.destroy();
+  await hookEngine.destroy();
+  await failEngine.destroy();
+  assert.deepStrictEqual(failEngine.getStatus().plugins, []);
+
+  console.log('\n🎉 All middleware tests passed!');
+})().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+});
@@ -100,6 +100,7 @@ try {
   
   // Test 7: Mock speech simulation
   console.log('\n✅ Test 7: Mock speech simulation');
+  module2.startListening();
   
   // Simulate wake word detection
   module2.handleSpeechResult({
@@ -107,8 +108,7 @@ try {
       0: { transcript: 'start recording now', confidence: 0.9 },
       isFinal: true,
       length: 1
-    }],
-    results: { length: 1 }
+    }]
   });
   
   // Simulate transcription
@@ -118,8 +118,7 @@ try {
         0: { transcript: 'this is a test message', confidence: 0.95 },
         isFinal: true,
         length: 1
-      }],
-      results: { length: 1 }
+      }]
     });
   }
   
@@ -129,9 +128,8 @@ try {
       0: { transcript: 'stop recording please', confidence: 0.9 },
       isFinal: true,
       length: 1
-    }],
-    results: { length: 1 }
-    });
+    }]
+  });
   
   // Test 8: Cleanup
   console.log('\n✅ Test 8: Cleanup');
@@ -0,0 +1,72 @@
+/**
+ * Test script for wake/sleep phrase matching
+ */
+
+const assert = require('assert');
+const PhraseMatcher = require('../src/core/PhraseMatcher.js');
+
+console.log('🧪 Testing Phrase Matcher...\n');
+
+try {
+  // Test 1: Whole-word matching
+  console.log('✅ Test 1: Whole-word matching');
+  const word = new PhraseMatcher();
+  assert.strictEqual(word.matches('hi there', 'hi'), true);
+  assert.strictEqual(word.matches('Hi, there', 'hi'), true);
+  assert.strictEqual(word.matches('this is history', 'hi'), false);
+  assert.strictEqual(word.matches('which one', 'hi'), false);
+  assert.strictEqual(word.matches('maybe later', 'bye'), false);
+  assert.strictEqual(word.matches('please start recording now', 'start recording'), true);
+  assert.strictEqual(word.matches('start the recording', 'start recording'), false);
+
+  // Test 2: Match offsets
+  console.log('✅ Test 2: Match offsets');
+  const match = word.find('ok so hi take a note', 'hi');
+  assert.deepStrictEqual(
+    { start: match.start, end: match.end, score: match.score },
+    { start: 6, end: 8, score: 1 }
+  );
+
+  // Test 3: Fuzzy matching
+  console.log('✅ Test 3: Fuzzy matching');
+  const fuzzy = new PhraseMatcher({ mode: 'fuzzy' });
+  assert.strictEqual(fuzzy.matches('hello world', 'hallo'), true);
+  assert.strictEqual(fuzzy.matches('hey notes', 'hey note'), true);
+  assert.strictEqual(fuzzy.matches('this is history', 'hi'), false);
+  assert.strictEqual(new PhraseMatcher({ mode: 'fuzzy', sensitivity: 0 }).matches('hallo', 'hello'), false);
+
+  // Test 4: Phonetic matching
+  console.log('✅ Test 4: Phonetic matching');
+  assert.strictEqual(PhraseMatcher.soundex('Robert'), 'R163');
+  assert.strictEqual(PhraseMatcher.soundex('Rupert'), 'R163');
+  assert.strictEqual(PhraseMatcher.soundex('Ashcraft'), 'A261');
+  assert.strictEqual(PhraseMatcher.phoneticKey('bye'), 'BI');
+  assert.strictEqual(PhraseMatcher.phoneticKey('knight'), PhraseMatcher.phoneticKey('night'));
+  const phonetic = new PhraseMatcher({ mode: 'phonetic', sensitivity: 0 });
+  // Homophones match exactly
+  assert.strictEqual(phonetic.matches('ok buy then', 'bye'), true);
+  assert.strictEqual(phonetic.matches('see you by then', 'bye'), true);
+  assert.strictEqual(phonetic.matches('over their', 'there'), true);
+  assert.strictEqual(phonetic.matches('hie', 'hi'), true);
+  assert.strictEqual(phonetic.matches('right now', 'write now'), true);
+  assert.strictEqual(phonetic.matches('maybe later', 'bye'), false);
+  // Vowel sounds count, so words sharing only their consonants do not match
+  const defaultPhonetic = new PhraseMatcher({ mode: 'phonetic' });
+  [phonetic, defaultPhonetic].forEach((matcher) => {
+    ['he', 'how are you', 'hello'].forEach((text) => assert.strictEqual(matcher.matches(text, 'hi'), false, text));
+    assert.strictEqual(matcher.matches('bay', 'bye'), false);
+  });
+  assert.strictEqual(defaultPhonetic.matches('hey jarvus', 'hey jarvis'), true);
+  assert.strictEqual(defaultPhonetic.matches('computer', 'kompyuter'), true);
+
+  // Test 5: Invalid settings
+  console.log('✅ Test 5: Invalid settings');
+  assert.throws(() => new PhraseMatcher({ mode: 'regex' }), /Unknown match mode/);
+  assert.throws(() => new PhraseMatcher({ sensitivity: 2 }), /between 0 and 1/);
+
+  console.log('\n🎉 All phrase matcher tests passed!');
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
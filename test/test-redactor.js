@@ -0,0 +1,165 @@
+/**
+ * Test script for transcript redaction
+ */
+
+const assert = require('assert');
+const Redactor = require('../src/core/Redactor.js');
+const SpeechEngine = require('../src/core/SpeechEngine.js');
+const MockAdapter = require('./helpers/mock-adapter.js');
+
+console.log('🧪 Testing Redactor...\n');
+
+(async () => {
+  // Test 1: Built-in categories in mask mode
+  console.log('✅ Test 1: Built-in categories');
+  const redactor = new Redactor();
+  assert.strictEqual(redactor.redact('call me at 555-123-4567 damn it').text, 'call me at ************ **** it');
+  assert.strictEqual(redactor.redact('my card is 4111 1111 1111 1111').text, 'my card is **** **** **** ****');
+  assert.strictEqual(redactor.redact('order 4111 1111 1111 1112').text, 'order 4111 1111 1111 1112');
+  assert.strictEqual(redactor.redact('mail jane.doe@example.com').text, 'mail ********************');
+  assert.strictEqual(redactor.redact('mail jane at example dot com').text, 'mail **** ** ******* *** ***');
+  assert.strictEqual(redactor.redact('I live at 221b Baker Street.').text, 'I live at **** ***** ******.');
+  assert.strictEqual(redactor.redact('we need 25 chairs by 2024').text, 'we need 25 chairs by 2024');
+
+  // Test 2: Audit records never contain the redacted text
+  console.log('✅ Test 2: Audit records');
+  const { text, redactions } = redactor.redact('call 555-123-4567 now');
+  assert.deepStrictEqual(redactions, [{ category: 'phone', mode: 'mask', start: 5, end: 17, length: 12 }]);
+  assert.strictEqual(text.slice(redactions[0].start, redactions[0].end), '************');
+  assert.ok(!JSON.stringify(redactions).includes('555'));
+
+  // Test 3: Tag and drop modes, per-category modes
+  console.log('✅ Test 3: Tag and drop modes');
+  const tagger = new Redactor({ mode: 'tag' });
+  assert.strictEqual(tagger.redact('email bob@example.org or call +49 30 1234567').text, 'email [EMAIL] or call [PHONE]');
+  const dropper = new Redactor({ modes: { profanity: 'drop' } });
+  assert.deepStrictEqual(dropper.redact('well shit'), {
+    text: null,
+    redactions: [{ category: 'profanity', mode: 'drop', start: null, end: null, length: 4 }],
+    dropped: true
+  });
+  assert.strictEqual(dropper.redact('call 555-123-4567').text, 'call ************');
+  assert.throws(() => new Redactor({ mode: 'blur' }), /Unknown redaction mode/);
+
+  // Test 4: Custom words, regex rules and languages
+  console.log('✅ Test 4: Custom words and rules');
+  const custom = new Redactor({
+    categories: ['email'],
+    words: ['project falcon'],
+    rules: [
+      { category: 'employee-id', pattern: /EMP-\d+/i, mode: 'tag' },
+      { category: 'ticket', pattern: 'ticket \\d+', replacement: '[TICKET]' }
+    ]
+  });
+  assert.strictEqual(
+    custom.redact('emp-42 said Project Falcon slipped, see ticket 981, damn').text,
+    '[EMPLOYEE-ID] said ******* ****** slipped, see [TICKET], damn'
+  );
+  const german = new Redactor({ language: 'de-DE', mode: 'tag' });
+  assert.strictEqual(german.redact('So ein Mist, Hauptstraße 5, Scheiße').text, 'So ein Mist, [ADDRESS], [PROFANITY]');
+
+  // Test 5: Engine transcripts, sessions and the redaction event
+  console.log('✅ Test 5: Engine redaction');
+  const adapter = new MockAdapter();
+  const engine = new SpeechEngine(adapter, { mode: 'always-on', redact: { mode: 'tag', modes: { card: 'drop' } } });
+  const transcripts = [];
+  const audits = [];
+  const seenByPlugins = [];
+  engine
+    .use((data) => { seenByPlugins.push(data.transcript); })
+    .onTranscript((data) => transcripts.push(data))
+    .onRedaction((audit) => audits.push(audit));
+  engine.startListening();
+  adapter.say('my number is 555', false);
+  adapter.say('my number is 555-123-4567');
+  adapter.say('card 4111 1111 1111 1111');
+  adapter.say('hello there');
+  assert.deepStrictEqual(transcripts.map((data) => data.transcript), ['my number is [PHONE]', 'my number is [PHONE]', 'hello there']);
+  assert.deepStrictEqual(transcripts[1].redactions, [{ category: 'phone', mode: 'tag', start: 13, end: 20, length: 12 }]);
+  assert.deepStrictEqual(transcripts[2].redactions, []);
+  assert.deepStrictEqual(seenByPlugins, transcripts.map((data) => data.transcript));
+  assert.deepStrictEqual(audits.map((audit) => [audit.redactions[0].category, audit.dropped, audit.isFinal]), [
+    ['phone', false, false], ['phone', false, true], ['card', true, true]
+  ]);
+  const session = engine.session.toJSON();
+  assert.ok(!JSON.stringify(session).includes('4567'));
+  assert.ok(!JSON.stringify(session).includes('4111'));
+
+  // Turning redaction off at runtime
+  engine.updateConfig({ redact: false });
+  adapter.say('call 555-123-4567');
+  assert.strictEqual(transcripts[transcripts.length - 1].transcript, 'call 555-123-4567');
+  await engine.destroy();
+
+  // Test 6: Command slots are redacted too
+  console.log('✅ Test 6: Command slots');
+  const commands = [
+    { intent: 'call', pattern: 'call {contact}' },
+    { intent: 'email', pattern: 'send it to {address}' }
+  ];
+  const commandAdapter = new MockAdapter();
+  const commandEngine = new SpeechEngine(commandAdapter, { mode: 'always-on', redact: true, commands });
+  const received = [];
+  commandEngine.onCommand((command) => received.push(command));
+  commandEngine.startListening();
+  commandAdapter.say('call 555 123 4567');
+  commandAdapter.say('send it to jane.doe@example.com');
+  commandAdapter.say('call mom');
+  assert.deepStrictEqual(received.map((command) => command.slots), [
+    { contact: '*** *** ****' },
+    { address: '********************' },
+    { contact: 'mom' }
+  ]);
+  assert.ok(!JSON.stringify(received).includes('4567'));
+  assert.ok(!JSON.stringify(received).includes('jane'));
+  await commandEngine.destroy();
+
+  // One-shot commands go through the same redaction
+  const oneShotAdapter = new MockAdapter();
+  const oneShotEngine = new SpeechEngine(oneShotAdapter, { mode: 'one-shot', redact: { mode: 'tag' }, commands });
+  const oneShot = [];
+  oneShotEngine.onCommand((command) => oneShot.push(command));
+  oneShotEngine.startListening();
+  oneShotAdapter.say('hi');
+  oneShotAdapter.say('call 555 123 4567');
+  assert.deepStrictEqual(oneShot.map((command) => [command.transcript, command.slots]), [['call [PHONE]', { contact: '[PHONE]' }]]);
+  await oneShotEngine.destroy();
+
+  // Test 7: Personal data cut off at the end of interim results
+  console.log('✅ Test 7: Partial interim results');
+  assert.strictEqual(redactor.redact('my email is john.smith@exam', { partial: true }).text, 'my email is ***************');
+  assert.strictEqual(redactor.redact('my number is 555 12', { partial: true }).text, 'my number is *** **');
+  assert.strictEqual(redactor.redact('mail jane at example dot c', { partial: true }).text, 'mail **** ** ******* *** *');
+  assert.strictEqual(redactor.redact('meet me at home', { partial: true }).text, 'meet me at home');
+  assert.strictEqual(redactor.redact('my number is 555 12').text, 'my number is 555 12');
+  assert.strictEqual(new Redactor({ categories: ['email'] }).redact('room 12', { partial: true }).text, 'room 12');
+
+  const interimAdapter = new MockAdapter();
+  const interimEngine = new SpeechEngine(interimAdapter, { mode: 'always-on', redact: true });
+  const interims = [];
+  const deltas = [];
+  interimEngine
+    .onTranscript((data) => interims.push(data.transcript))
+    .onTranscriptDelta((delta) => deltas.push(delta));
+  interimEngine.startListening();
+  interimAdapter.say('my email is john.smith@exam', false);
+  interimAdapter.say('my email is john.smith@example.com');
+  interimAdapter.say('my number is 555 12', false);
+  interimAdapter.say('my number is 555 123 4567');
+  assert.deepStrictEqual(interims, [
+    'my email is ***************',
+    'my email is **********************',
+    'my number is *** **',
+    'my number is *** *** ****'
+  ]);
+  const delivered = JSON.stringify({ interims, deltas });
+  assert.ok(!delivered.includes('john') && !delivered.includes('exam'));
+  assert.ok(!delivered.includes('555') && !delivered.includes('4567'));
+  await interimEngine.destroy();
+
+  console.log('\n🎉 All redactor tests passed!');
+})().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+});
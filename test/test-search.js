@@ -0,0 +1,138 @@
+/**
+ * Test script for transcript search
+ */
+
+const assert = require('assert');
+const TranscriptIndex = require('../src/core/TranscriptIndex.js');
+const SessionHistory = require('../src/core/SessionHistory.js');
+const MemorySessionStore = require('../src/storage/MemorySessionStore.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-03-10T12:00:00.000Z');
+
+/**
+ * Session summary started `daysAgo` days before `now`, one segment per text
+ */
+function summary(id, daysAgo, texts, tag = null) {
+  const startedAt = new Date(now - daysAgo * DAY);
+  return {
+    id: id,
+    startedAt: startedAt.toISOString(),
+    endedAt: new Date(startedAt.getTime() + texts.length * 2000).toISOString(),
+    durationMs: texts.length * 2000,
+    startReason: 'wake-word',
+    endReason: 'sleep-word',
+    wakePhrase: { phrase: tag ? `hey ${tag}` : 'hi', matched: 'hi', action: null, tag: tag },
+    sleepPhrase: null,
+    text: texts.join(' '),
+    segments: texts.map((transcript, index) => ({
+      index: index,
+      transcript: transcript,
+      confidence: 0.9,
+      startMs: index * 2000,
+      endMs: index * 2000 + 1500
+    }))
+  };
+}
+
+const sessions = [
+  summary('invoice', 6, ['Remind me to send the invoice to Acme.', 'The invoice is due on Friday.'], 'work'),
+  summary('groceries', 3, ['Buy milk and eggs.', 'Don\'t forget the café au lait.'], 'home'),
+  summary('meeting', 1, ['Meeting notes: the due date moved, invoice later.'], 'work'),
+  summary('today', 0, ['Nothing about billing here.'])
+];
+
+console.log('🧪 Testing Transcript Search...\n');
+
+(async () => {
+  // Test 1: Tokenizing and query parsing
+  console.log('✅ Test 1: Tokenizer');
+  assert.deepStrictEqual(TranscriptIndex.tokenize('Don\'t  pay Café!'), [
+    { term: 'dont', start: 0, end: 5 },
+    { term: 'pay', start: 7, end: 10 },
+    { term: 'cafe', start: 11, end: 15 }
+  ]);
+  assert.deepStrictEqual(TranscriptIndex.parseQuery('invoice "due date" "Acme" friday'), {
+    terms: ['acme', 'invoice', 'friday'],
+    phrases: [['due', 'date']]
+  });
+
+  // Test 2: Full-text search with offsets and snippets
+  console.log('✅ Test 2: Keyword search');
+  const index = new TranscriptIndex();
+  sessions.forEach((session) => index.add(session));
+  assert.strictEqual(index.size, 4);
+
+  const results = index.search('Invoice');
+  assert.deepStrictEqual(results.map((result) => result.session.id), ['invoice', 'meeting']);
+  const [first] = results[0].matches;
+  assert.deepStrictEqual(
+    { segmentIndex: first.segmentIndex, startMs: first.startMs, endMs: first.endMs, offsets: first.offsets },
+    { segmentIndex: 0, startMs: 0, endMs: 1500, offsets: [{ start: 22, end: 29 }] }
+  );
+  assert.strictEqual(first.text.slice(22, 29), 'invoice');
+  assert.strictEqual(results[0].matches.length, 2);
+  assert.strictEqual(TranscriptIndex.highlight(results[0].matches[1]), 'The [invoice] is due on Friday.');
+  assert.deepStrictEqual(index.search('invoice acme').map((result) => result.session.id), ['invoice']);
+  assert.deepStrictEqual(index.search('dont cafe').map((result) => result.session.id), ['groceries']);
+  assert.deepStrictEqual(index.search('invoice unicorn'), []);
+
+  // Test 3: Phrase queries
+  console.log('✅ Test 3: Phrase search');
+  assert.deepStrictEqual(index.search('"due date"').map((result) => result.session.id), ['meeting']);
+  assert.strictEqual(
+    TranscriptIndex.highlight(index.search('"due date" invoice')[0].matches[0], '<mark>', '</mark>'),
+    'Meeting notes: the <mark>due date</mark> moved, <mark>invoice</mark> later.'
+  );
+  // Both words appear, but not next to each other
+  assert.deepStrictEqual(index.search('"invoice due"'), []);
+
+  // Test 4: Date range and wake phrase filters
+  console.log('✅ Test 4: Filters');
+  const lastWeek = { since: now - 7 * DAY, until: now - 2 * DAY };
+  assert.deepStrictEqual(index.search('invoice', lastWeek).map((result) => result.session.id), ['invoice']);
+  assert.deepStrictEqual(index.search('', { tags: ['work'] }).map((result) => result.session.id), ['meeting', 'invoice']);
+  assert.deepStrictEqual(index.search('', { wakePhrases: ['Hey Home'] }).map((result) => result.session.id), ['groceries']);
+  assert.deepStrictEqual(index.search('', { since: new Date(now - 2 * DAY).toISOString(), limit: 1 })
+    .map((result) => result.session.id), ['today']);
+
+  // Test 5: Snippets of long segments
+  console.log('✅ Test 5: Snippets');
+  const long = `${'lorem ipsum '.repeat(20)}the invoice number is 42 ${'dolor sit '.repeat(20)}`.trim();
+  index.add(summary('long', 2, [long]));
+  const [match] = index.search('invoice', { snippetLength: 40 })
+    .find((result) => result.session.id === 'long').matches;
+  assert.ok(match.snippet.startsWith('…') && match.snippet.endsWith('…'));
+  assert.ok(match.snippet.length <= 42);
+  assert.ok(TranscriptIndex.highlight(match).includes('[invoice]'));
+  assert.strictEqual(long.slice(match.offsets[0].start, match.offsets[0].end), 'invoice');
+  assert.strictEqual(index.remove('long'), true);
+  assert.strictEqual(index.search('lorem').length, 0);
+
+  // Test 6: History search stays in sync with the store
+  console.log('✅ Test 6: History search');
+  const store = new MemorySessionStore();
+  await store.put(sessions[0]);
+  const history = new SessionHistory(store, { maxSessions: 3 });
+  assert.deepStrictEqual((await history.search('invoice')).map((result) => result.session.id), ['invoice']);
+  await history.save(sessions[2]);
+  await history.save(sessions[1]);
+  assert.deepStrictEqual((await history.search('invoice')).map((result) => result.session.id), ['invoice', 'meeting']);
+  await history.delete('invoice');
+  assert.deepStrictEqual((await history.search('invoice')).map((result) => result.session.id), ['meeting']);
+  // Retention purges drop sessions from the index too
+  await history.save(sessions[3]);
+  await history.save(summary('newest', 0, ['invoice paid']));
+  assert.deepStrictEqual(await history.search('milk'), []);
+  // Writes made elsewhere need a reindex
+  await store.put(summary('external', 0, ['external invoice']));
+  assert.strictEqual((await history.search('external')).length, 0);
+  history.reindex();
+  assert.strictEqual((await history.search('external')).length, 1);
+
+  console.log('\n🎉 All search tests passed!');
+})().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+});
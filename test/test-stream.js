@@ -0,0 +1,281 @@
+/**
+ * Test script for WebSocket transcript streaming
+ */
+
+const assert = require('assert');
+const TranscriptStream = require('../src/core/TranscriptStream.js');
+const SpeechEngine = require('../src/core/SpeechEngine.js');
+const MockAdapter = require('./helpers/mock-adapter.js');
+
+/**
+ * In-memory server speaking the stream protocol, like examples/stream-server.js
+ */
+class FakeServer {
+  constructor() {
+    this.online = true;
+    this.acking = true;
+    this.clients = new Map();
+    this.received = [];
+    this.hellos = [];
+    this.sockets = [];
+  }
+
+  receive(socket, text) {
+    const message = JSON.parse(text);
+    if (message.type === 'hello') {
+      this.hellos.push(message);
+      socket.clientId = message.clientId;
+      socket.reply({ type: 'welcome', protocol: 1, lastSeq: this.clients.get(message.clientId) || 0 });
+      return;
+    }
+
+    const lastSeq = this.clients.get(socket.clientId) || 0;
+    if (message.seq > lastSeq) {
+      this.clients.set(socket.clientId, message.seq);
+      this.received.push(message);
+    }
+    if (this.acking) {
+      socket.reply({ type: 'ack', seq: Math.max(message.seq, lastSeq) });
+    }
+  }
+
+  /**
+   * Drop every open connection, as a network failure would
+   */
+  disconnectAll() {
+    this.sockets.forEach((socket) => socket.drop());
+  }
+}
+
+/**
+ * WebSocket stand-in connected to a FakeServer
+ */
+function createFakeWebSocket(server) {
+  return class FakeWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      server.sockets.push(this);
+      setTimeout(() => {
+        if (this.readyState === 3) {
+          return;
+        }
+        if (!server.online) {
+          this.drop();
+          return;
+        }
+        this.readyState = 1;
+        this.onopen();
+      }, 0);
+    }
+
+    send(text) {
+      assert.strictEqual(this.readyState, 1);
+      server.receive(this, text);
+    }
+
+    reply(message) {
+      setTimeout(() => {
+        if (this.readyState === 1) {
+          this.onmessage({ data: JSON.stringify(message) });
+        }
+      }, 0);
+    }
+
+    drop() {
+      if (this.readyState === 3) return;
+      this.readyState = 3;
+      server.sockets.splice(server.sockets.indexOf(this), 1);
+      if (this.onclose) this.onclose({ code: 1006, reason: '' });
+    }
+
+    close(code, reason) {
+      this.readyState = 3;
+      server.sockets.splice(server.sockets.indexOf(this), 1);
+      if (this.onclose) this.onclose({ code, reason });
+    }
+  };
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Engine with a stream attached to a fresh fake server
+ */
+function setup(options = {}) {
+  const server = new FakeServer();
+  const adapter = new MockAdapter();
+  const engine = new SpeechEngine(adapter);
+  const stream = new TranscriptStream('ws://test', {
+    WebSocket: createFakeWebSocket(server),
+    reconnect: { baseDelayMs: 5, maxDelayMs: 20 },
+    ...options
+  });
+  return { server, adapter, engine, stream };
+}
+
+console.log('🧪 Testing Transcript Stream...\n');
+
+(async () => {
+  // Test 1: Events are streamed with the protocol envelope
+  console.log('✅ Test 1: Protocol messages');
+  const { server, adapter, engine, stream } = setup({ metadata: { device: 'test' } });
+  const opened = [];
+  stream.on('open', (info) => opened.push(info));
+  stream.attach(engine);
+  engine.startListening();
+  await delay(5);
+  assert.strictEqual(stream.state, 'open');
+  assert.deepStrictEqual(server.hellos, [{ type: 'hello', protocol: 1, clientId: stream.clientId, metadata: { device: 'test' } }]);
+  adapter.say('hi');
+  adapter.say('buy', false);
+  adapter.say('buy milk');
+  adapter.say('bye');
+  await delay(5);
+  assert.deepStrictEqual(server.received.map((message) => message.event), [
+    'wakeWordDetected', 'transcriptionStart', 'transcript', 'transcript',
+    'sleepWordDetected', 'transcriptionEnd', 'sessionEnd'
+  ]);
+  assert.deepStrictEqual(server.received.map((message) => message.seq), [1, 2, 3, 4, 5, 6, 7]);
+  const [wake, start, interim, final, , , end] = server.received;
+  assert.deepStrictEqual(wake.data.phrase, 'hi');
+  assert.strictEqual(start.sessionId, end.sessionId);
+  assert.strictEqual(end.data.text, 'buy milk');
+  assert.strictEqual(interim.data.isFinal, false);
+  assert.strictEqual(final.sessionId, end.sessionId);
+  assert.ok(!Number.isNaN(Date.parse(final.timestamp)));
+  assert.strictEqual(stream.buffered, 0);
+  assert.strictEqual(opened.length, 1);
+
+  // Test 2: Events are buffered while offline and delivered in order on reconnect
+  console.log('✅ Test 2: Offline buffering and reconnection');
+  const closes = [];
+  stream.on('close', (info) => closes.push(info));
+  server.online = false;
+  server.disconnectAll();
+  adapter.say('hi');
+  adapter.say('offline one');
+  adapter.say('offline two');
+  await delay(20);
+  assert.strictEqual(stream.state, 'connecting');
+  assert.ok(stream.buffered >= 4);
+  assert.strictEqual(closes[0].willReconnect, true);
+  server.online = true;
+  await delay(60);
+  assert.strictEqual(stream.state, 'open');
+  assert.strictEqual(stream.buffered, 0);
+  const transcripts = server.received.filter((message) => message.event === 'transcript').map((message) => message.data.transcript);
+  assert.deepStrictEqual(transcripts.slice(-2), ['offline one', 'offline two']);
+  assert.deepStrictEqual(server.received.map((message) => message.seq), server.received.map((message, i) => i + 1));
+
+  // Test 3: Unacknowledged events are resent once, without duplicates
+  console.log('✅ Test 3: Exactly-once, ordered delivery');
+  server.acking = false;
+  adapter.say('unacked one');
+  adapter.say('unacked two');
+  await delay(5);
+  assert.strictEqual(stream.buffered, 2);
+  server.acking = true;
+  server.disconnectAll();
+  await delay(40);
+  assert.strictEqual(stream.buffered, 0);
+  const delivered = server.received.filter((message) => message.event === 'transcript').map((message) => message.data.transcript);
+  assert.deepStrictEqual(delivered.slice(-2), ['unacked one', 'unacked two']);
+  assert.deepStrictEqual(server.received.map((message) => message.seq), server.received.map((message, i) => i + 1));
+  assert.ok(server.hellos.every((hello) => hello.clientId === stream.clientId));
+
+  // Test 4: Destroying the engine flushes and closes the stream
+  console.log('✅ Test 4: Cleanup');
+  const hellos = server.hellos.length;
+  await engine.destroy();
+  assert.strictEqual(stream.engine, null);
+  await delay(5);
+  assert.strictEqual(server.received[server.received.length - 1].event, 'sessionEnd');
+  assert.strictEqual(stream.buffered, 0);
+  assert.strictEqual(stream.state, 'closed');
+  assert.strictEqual(closes[closes.length - 1].willReconnect, false);
+  await delay(30);
+  assert.strictEqual(server.sockets.length, 0);
+  assert.strictEqual(server.hellos.length, hellos);
+
+  // An offline stream closes right away, keeping its buffer
+  const offline = setup();
+  offline.stream.attach(offline.engine);
+  offline.engine.startListening();
+  await delay(5);
+  offline.server.online = false;
+  offline.server.disconnectAll();
+  offline.adapter.say('hi');
+  await offline.engine.destroy();
+  assert.strictEqual(offline.stream.state, 'closed');
+  assert.ok(offline.stream.buffered > 0);
+  offline.server.online = true;
+  await delay(30);
+  assert.strictEqual(offline.server.hellos.length, 1);
+  assert.strictEqual(offline.server.sockets.length, 0);
+
+  // close() stops reconnecting
+  const closed = setup();
+  closed.stream.attach(closed.engine);
+  closed.stream.close();
+  assert.strictEqual(closed.stream.state, 'closed');
+  await delay(30);
+  assert.strictEqual(closed.server.hellos.length, 0);
+  await closed.engine.destroy();
+
+  // Test 5: Buffer limit, event selection and final-only transcripts
+  console.log('✅ Test 5: Options');
+  const limited = setup({ maxBufferSize: 2, interimResults: false, events: ['transcript'] });
+  const overflows = [];
+  limited.server.online = false;
+  limited.stream.on('overflow', (info) => overflows.push(info)).attach(limited.engine);
+  limited.engine.updateConfig({ mode: 'always-on' });
+  limited.engine.startListening();
+  ['one', 'two', 'three', 'four'].forEach((word) => {
+    limited.adapter.say(word, false);
+    limited.adapter.say(word);
+  });
+  assert.strictEqual(limited.stream.buffered, 2);
+  assert.deepStrictEqual(overflows.map((info) => info.total), [1, 2]);
+  limited.server.online = true;
+  await delay(60);
+  assert.deepStrictEqual(limited.server.received.map((message) => [message.seq, message.data.transcript]), [[3, 'three'], [4, 'four']]);
+  limited.stream.close();
+  await limited.engine.destroy();
+  assert.throws(() => new TranscriptStream('ws://test', { WebSocket: undefined }), /WebSocket is not available/);
+
+  // Test 6: A client ID reused by a new stream, e.g. after an app restart
+  console.log('✅ Test 6: Reused client ID');
+  const shared = new FakeServer();
+  const streamOptions = {
+    clientId: 'device-1',
+    WebSocket: createFakeWebSocket(shared),
+    reconnect: { baseDelayMs: 5, maxDelayMs: 20 }
+  };
+  const firstRun = new TranscriptStream('ws://test', streamOptions).connect();
+  await delay(5);
+  [1, 2, 3, 4, 5].forEach((n) => firstRun.send('transcript', { transcript: `run1-${n}` }));
+  await delay(5);
+  firstRun.close();
+
+  // The next run buffers offline, starting its numbering from 1 again
+  shared.online = false;
+  const secondRun = new TranscriptStream('ws://test', streamOptions).connect();
+  [1, 2, 3, 4, 5, 6, 7, 8].forEach((n) => secondRun.send('transcript', { transcript: `run2-${n}` }));
+  shared.online = true;
+  await delay(60);
+  assert.strictEqual(secondRun.buffered, 0);
+  assert.deepStrictEqual(shared.received.map((message) => [message.seq, message.data.transcript]), [
+    [1, 'run1-1'], [2, 'run1-2'], [3, 'run1-3'], [4, 'run1-4'], [5, 'run1-5'],
+    [6, 'run2-1'], [7, 'run2-2'], [8, 'run2-3'], [9, 'run2-4'], [10, 'run2-5'],
+    [11, 'run2-6'], [12, 'run2-7'], [13, 'run2-8']
+  ]);
+  assert.strictEqual(secondRun.send('transcript', { transcript: 'run2-9' }), 14);
+  secondRun.close();
+
+  console.log('\n🎉 All stream tests passed!');
+})().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+});